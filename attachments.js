@@ -0,0 +1,407 @@
+import axios from 'axios'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { Transform, pipeline } from 'stream'
+import { pipeline as pipelineAsync } from 'stream/promises'
+
+/**
+ * Attachment types accepted by the Attachment Upload API.
+ * @type {string[]}
+ */
+const UPLOAD_TYPES = ['image', 'audio', 'video', 'file']
+
+/**
+ * Content types of common file extensions.
+ * @type {Object<string, string>}
+ */
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.ogg': 'audio/ogg',
+  '.wav': 'audio/wav',
+  '.mp4': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.webm': 'video/webm',
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.zip': 'application/zip',
+  '.doc': 'application/msword',
+  '.docx':
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+}
+
+/**
+ * Default size limit of downloads: Messenger's 25 MB attachment limit.
+ * @type {number}
+ */
+const MAX_DOWNLOAD_BYTES = 25 * 1024 * 1024
+
+/**
+ * Size limit of uploads: files beyond Messenger's 25 MB attachment limit are
+ * rejected before they are read into memory.
+ * @type {number}
+ */
+const MAX_UPLOAD_BYTES = 25 * 1024 * 1024
+
+/**
+ * Leading bytes ("magic numbers") of common file formats.
+ * @type {Array<[string, number[], number]>} Content type, signature and its offset
+ */
+const SIGNATURES = [
+  ['application/pdf', [0x25, 0x50, 0x44, 0x46, 0x2d], 0],
+  ['image/png', [0x89, 0x50, 0x4e, 0x47], 0],
+  ['image/jpeg', [0xff, 0xd8, 0xff], 0],
+  ['image/gif', [0x47, 0x49, 0x46, 0x38], 0],
+  ['image/webp', [0x57, 0x45, 0x42, 0x50], 8],
+  ['audio/wav', [0x57, 0x41, 0x56, 0x45], 8],
+  ['video/mp4', [0x66, 0x74, 0x79, 0x70], 4],
+  ['video/webm', [0x1a, 0x45, 0xdf, 0xa3], 0],
+  ['audio/ogg', [0x4f, 0x67, 0x67, 0x53], 0],
+  ['audio/mpeg', [0x49, 0x44, 0x33], 0],
+  ['application/zip', [0x50, 0x4b, 0x03, 0x04], 0],
+]
+
+/**
+ * Guess a content type from a file name, path or URL (query strings ignored).
+ * @param {string} [name] - File name, path or URL
+ * @returns {string|undefined} Content type, or undefined for unknown extensions
+ */
+function contentTypeFromName(name) {
+  if (!name) return undefined
+  let pathname = name
+  try {
+    pathname = decodeURIComponent(new URL(name).pathname)
+  } catch {
+    // Not a URL: use it as a path
+  }
+  return CONTENT_TYPES[path.extname(pathname).toLowerCase()]
+}
+
+/**
+ * Detect a content type from the first bytes of a file.
+ * @param {Buffer} data - File contents (the first 16 bytes are enough)
+ * @returns {string|undefined} Content type, or undefined when unknown
+ */
+function sniffContentType(data) {
+  const match = SIGNATURES.find(([, bytes, offset]) =>
+    bytes.every((byte, i) => data[offset + i] === byte)
+  )
+  return match?.[0]
+}
+
+/**
+ * Base name of a URL's path, used as the file name of downloads.
+ * @param {string} url - URL
+ * @returns {string|undefined} File name
+ */
+function filenameFromUrl(url) {
+  try {
+    const name = path.basename(decodeURIComponent(new URL(url).pathname))
+    return name || undefined
+  } catch {
+    return undefined
+  }
+}
+
+/**
+ * Whether a value is a readable stream (or any async iterable of chunks).
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+const isStream = (value) =>
+  value != null &&
+  typeof value === 'object' &&
+  (typeof value.pipe === 'function' ||
+    typeof value[Symbol.asyncIterator] === 'function')
+
+/**
+ * Path of a source that explicitly refers to a local file: a `file://` URL
+ * (string or URL object) or a `{ path }` object.
+ * @param {*} source - Attachment source
+ * @returns {string|undefined} File path, or undefined for other sources
+ */
+function localPath(source) {
+  if (source instanceof URL) {
+    return source.protocol === 'file:' ? fileURLToPath(source) : undefined
+  }
+  if (typeof source === 'string') {
+    return /^file:\/\//i.test(source) ? fileURLToPath(source) : undefined
+  }
+  if (
+    source?.constructor === Object &&
+    typeof source.path === 'string' &&
+    source.path
+  ) {
+    return source.path
+  }
+  return undefined
+}
+
+/**
+ * Whether a value is an http(s) URL, as a string or a URL object.
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+const isWebUrl = (value) =>
+  value instanceof URL
+    ? value.protocol === 'http:' || value.protocol === 'https:'
+    : typeof value === 'string' && /^https?:\/\//i.test(value)
+
+/**
+ * Tell what an attachment source refers to.
+ * HTTP(S) URLs are sent as is and digit strings are IDs of uploaded
+ * attachments. Local files are read only when asked for explicitly, with a
+ * `file://` URL or `{ path }`, so that user-supplied strings never reach the
+ * file system.
+ * @param {string|URL|{path: string}|Buffer|import('stream').Readable} source - URL, attachment ID, `file://` URL, `{ path }`, Buffer or stream
+ * @returns {'url'|'attachment_id'|'file'} Kind of source
+ * @throws {TypeError} When the source is none of these
+ */
+function sourceKind(source) {
+  if (isWebUrl(source)) return 'url'
+  if (typeof source === 'string' && /^\d+$/.test(source)) {
+    return 'attachment_id'
+  }
+  if (Buffer.isBuffer(source) || isStream(source)) return 'file'
+  if (localPath(source) !== undefined) return 'file'
+  throw new TypeError(
+    'Attachment source must be an http(s) URL, an attachment ID, a file:// URL, { path }, a Buffer or a stream'
+  )
+}
+
+/**
+ * Build the attachment payload for a source. Local files (`file://` URLs,
+ * `{ path }`, Buffers and streams) are kept under `file` and uploaded by the
+ * bot before sending.
+ * @param {string|URL|{path: string}|Buffer|import('stream').Readable} source - URL, attachment ID, `file://` URL, `{ path }`, Buffer or stream
+ * @returns {{url: string}|{attachment_id: string}|{file: string|URL|{path: string}|Buffer|import('stream').Readable}} Attachment payload
+ */
+function attachmentPayload(source) {
+  const kind = sourceKind(source)
+  return { [kind]: kind === 'url' ? String(source) : source }
+}
+
+/**
+ * Read a local source into memory. Files are checked against the limit before
+ * reading, streams while they are read.
+ * @param {string|URL|{path: string}|Buffer|import('stream').Readable} source - `file://` URL, `{ path }`, Buffer or stream
+ * @param {number} [maxBytes=26214400] - Size limit (default: 25 MB)
+ * @returns {Promise<Buffer>} File contents
+ * @throws {RangeError} When the source exceeds `maxBytes`
+ */
+async function readSource(source, maxBytes = MAX_UPLOAD_BYTES) {
+  if (Buffer.isBuffer(source)) {
+    if (source.length > maxBytes) throw tooLarge(maxBytes)
+    return source
+  }
+  if (!isStream(source)) {
+    const filePath = localPath(source)
+    const { size } = await fs.promises.stat(filePath)
+    if (size > maxBytes) throw tooLarge(maxBytes)
+    return fs.promises.readFile(filePath)
+  }
+
+  const chunks = []
+  let size = 0
+  for await (const chunk of source) {
+    size += chunk.length
+    if (size > maxBytes) {
+      source.destroy?.()
+      throw tooLarge(maxBytes)
+    }
+    chunks.push(Buffer.from(chunk))
+  }
+  return Buffer.concat(chunks)
+}
+
+/**
+ * Build the multipart body of an Attachment Upload API request.
+ * @param {'image'|'audio'|'video'|'file'} type - Attachment type
+ * @param {string|URL|{path: string}|Buffer|import('stream').Readable} source - `file://` URL, `{ path }`, Buffer or stream
+ * @param {object} [options]
+ * @param {string} [options.filename] - File name (defaults to the path's or stream's base name)
+ * @param {string} [options.contentType] - Content type (defaults to one guessed from the file name)
+ * @param {number} [options.maxBytes=26214400] - Size limit (default: Messenger's 25 MB)
+ * @returns {Promise<FormData>} Multipart form with `message` and `filedata` fields
+ * @throws {RangeError} When the file exceeds `maxBytes`
+ */
+async function createUploadForm(
+  type,
+  source,
+  { filename, contentType, maxBytes } = {}
+) {
+  const filePath = isStream(source) ? source.path : localPath(source)
+  const name =
+    filename ||
+    (typeof filePath === 'string' && path.basename(filePath)) ||
+    type
+  const data = await readSource(source, maxBytes)
+  const form = new FormData()
+  form.append(
+    'message',
+    JSON.stringify({ attachment: { type, payload: { is_reusable: true } } })
+  )
+  form.append(
+    'filedata',
+    new Blob([data], {
+      type:
+        contentType ||
+        contentTypeFromName(name) ||
+        sniffContentType(data) ||
+        'application/octet-stream',
+    }),
+    name
+  )
+  return form
+}
+
+/**
+ * Stream that fails once more than `maxBytes` went through it.
+ * @param {number} maxBytes - Size limit
+ * @returns {Transform}
+ */
+function sizeLimit(maxBytes) {
+  let size = 0
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length
+      if (size > maxBytes) callback(tooLarge(maxBytes))
+      else callback(null, chunk)
+    },
+  })
+}
+
+/**
+ * Error for downloads beyond their size limit.
+ * @param {number} maxBytes - Size limit
+ * @returns {RangeError}
+ */
+const tooLarge = (maxBytes) =>
+  new RangeError(`Attachment is larger than ${maxBytes} bytes`)
+
+/**
+ * Download an incoming attachment from its (Facebook CDN) URL.
+ * The content type comes from the response headers; when they are missing or
+ * generic it is detected from the file's first bytes (buffers only) or its
+ * name. The size limit is checked against Content-Length before downloading
+ * and enforced while the data arrives.
+ * @param {object|string} attachment - Attachment of `ctx.attachments`, or its URL
+ * @param {object} [options]
+ * @param {number} [options.maxBytes=26214400] - Size limit (default: 25 MB)
+ * @param {boolean} [options.stream=false] - Resolve with a stream instead of a Buffer
+ * @param {number} [options.timeout=30000] - Request timeout in milliseconds
+ * @returns {Promise<{data: Buffer|import('stream').Readable, contentType: string, size: number|undefined, filename: string|undefined}>}
+ *   File (size is undefined for streams without Content-Length)
+ * @throws {RangeError} When the attachment exceeds `maxBytes`
+ */
+async function downloadAttachment(
+  attachment,
+  { maxBytes = MAX_DOWNLOAD_BYTES, stream = false, timeout = 30000 } = {}
+) {
+  const url =
+    typeof attachment === 'string' ? attachment : attachment?.payload?.url
+  if (!url) throw new TypeError('Attachment has no URL to download')
+
+  const res = await axios.get(url, {
+    responseType: 'stream',
+    timeout,
+    maxRedirects: 5,
+  })
+  const length = Number(res.headers['content-length'])
+  if (length > maxBytes) {
+    res.data.destroy()
+    throw tooLarge(maxBytes)
+  }
+
+  const headerType = String(res.headers['content-type'] || '')
+    .split(';')[0]
+    .trim()
+  const generic = !headerType || headerType === 'application/octet-stream'
+  const filename = filenameFromUrl(url)
+  const body = sizeLimit(maxBytes)
+  // Errors on either side (including the size limit) tear down both streams
+  pipeline(res.data, body, () => {})
+
+  if (stream) {
+    return {
+      data: body,
+      contentType: generic
+        ? contentTypeFromName(filename) || 'application/octet-stream'
+        : headerType,
+      size: length >= 0 ? length : undefined,
+      filename,
+    }
+  }
+
+  const chunks = []
+  for await (const chunk of body) chunks.push(chunk)
+  const data = Buffer.concat(chunks)
+  return {
+    data,
+    contentType: generic
+      ? sniffContentType(data) ||
+        contentTypeFromName(filename) ||
+        'application/octet-stream'
+      : headerType,
+    size: data.length,
+    filename,
+  }
+}
+
+/**
+ * Download an incoming attachment straight to disk.
+ * Partial files are removed when the download fails or exceeds the limit.
+ * @param {object|string} attachment - Attachment of `ctx.attachments`, or its URL
+ * @param {string} destination - File path, or an existing directory to save into under the URL's file name
+ * @param {object} [options]
+ * @param {number} [options.maxBytes=26214400] - Size limit (default: 25 MB)
+ * @param {number} [options.timeout=30000] - Request timeout in milliseconds
+ * @returns {Promise<{path: string, contentType: string, size: number}>} Saved file
+ * @throws {RangeError} When the attachment exceeds `maxBytes`
+ */
+async function saveAttachment(attachment, destination, options) {
+  const file = await downloadAttachment(attachment, {
+    ...options,
+    stream: true,
+  })
+  let filePath = destination
+  const stats = await fs.promises.stat(destination).catch(() => null)
+  if (stats?.isDirectory()) {
+    filePath = path.join(
+      destination,
+      file.filename || `attachment-${Date.now()}`
+    )
+  }
+
+  try {
+    await pipelineAsync(file.data, fs.createWriteStream(filePath))
+  } catch (err) {
+    await fs.promises.rm(filePath, { force: true })
+    throw err
+  }
+  const { size } = await fs.promises.stat(filePath)
+  return { path: filePath, contentType: file.contentType, size }
+}
+
+export {
+  MAX_DOWNLOAD_BYTES,
+  MAX_UPLOAD_BYTES,
+  UPLOAD_TYPES,
+  attachmentPayload,
+  contentTypeFromName,
+  createUploadForm,
+  downloadAttachment,
+  saveAttachment,
+  sniffContentType,
+  sourceKind,
+}
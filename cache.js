@@ -0,0 +1,80 @@
+/**
+ * LruCache - Small in-memory cache with a size limit and optional expiry.
+ * When full, the least recently used entry is evicted.
+ *
+ * @example
+ * const cache = new LruCache({ max: 500, ttl: 60 * 60 * 1000 })
+ * cache.set(psid, profile)
+ * cache.get(psid) // profile, or undefined once expired or evicted
+ */
+class LruCache {
+  /**
+   * Create an LruCache.
+   * @param {object} [options]
+   * @param {number} [options.max=1000] - Maximum number of entries
+   * @param {number} [options.ttl=0] - Default time to live in milliseconds (0 = never expire)
+   */
+  constructor({ max = 1000, ttl = 0 } = {}) {
+    this.max = max
+    this.ttl = ttl
+    this.entries = new Map()
+  }
+
+  /**
+   * Get a value and mark it as recently used.
+   * @param {string} key - Cache key
+   * @returns {*} The value, or undefined when missing or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key)
+    if (!entry) return undefined
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key)
+      return undefined
+    }
+    // Map keeps insertion order: re-insert to mark as most recently used
+    this.entries.delete(key)
+    this.entries.set(key, entry)
+    return entry.value
+  }
+
+  /**
+   * Store a value, evicting the least recently used entry when full.
+   * @param {string} key - Cache key
+   * @param {*} value - Value
+   * @param {number} [ttl] - Time to live in milliseconds (defaults to the cache's)
+   */
+  set(key, value, ttl = this.ttl) {
+    this.entries.delete(key)
+    this.entries.set(key, {
+      value,
+      expiresAt: ttl > 0 ? Date.now() + ttl : 0,
+    })
+    while (this.entries.size > this.max) {
+      this.entries.delete(this.entries.keys().next().value)
+    }
+  }
+
+  /**
+   * Remove a value.
+   * @param {string} key - Cache key
+   */
+  delete(key) {
+    this.entries.delete(key)
+  }
+
+  /** Remove every value. */
+  clear() {
+    this.entries.clear()
+  }
+
+  /**
+   * Number of entries, including expired ones not yet removed.
+   * @type {number}
+   */
+  get size() {
+    return this.entries.size
+  }
+}
+
+export { LruCache }
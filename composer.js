@@ -0,0 +1,431 @@
+import { UPDATE_TYPES } from './context.js'
+import { matchPayload } from './payload.js'
+
+/**
+ * Message types accepted as typed filters by `on()`.
+ * @type {string[]}
+ */
+const MESSAGE_TYPES = [
+  'text',
+  'quick_reply',
+  'sticker',
+  'image',
+  'audio',
+  'video',
+  'file',
+  'location',
+  'contact',
+  'fallback',
+]
+
+/**
+ * Friendlier names for message types.
+ * @type {Object<string, string>}
+ */
+const MESSAGE_TYPE_ALIASES = { photo: 'image', document: 'file' }
+
+/**
+ * Middleware that does nothing and stops the chain.
+ * @returns {Promise<void>}
+ */
+const noop = () => Promise.resolve()
+
+/**
+ * Normalize a trigger argument into an array.
+ * @param {*|Array<*>} value - Single trigger or array of triggers
+ * @returns {Array<*>} Triggers
+ */
+const toArray = (value) => (Array.isArray(value) ? value : [value])
+
+/**
+ * Composer - Telegraf-style middleware composition.
+ * Middleware functions receive `(ctx, next)` and call `next()` to pass control
+ * down the chain; a handler that doesn't call `next()` ends it.
+ * Composers can be mounted into each other (and into the bot) with `use()`,
+ * so feature modules can be written and tested separately.
+ *
+ * @example
+ * const shop = new Composer()
+ * shop.command('/cart', (ctx) => ctx.reply('Your cart is empty'))
+ * shop.action('buy', (ctx) => ctx.reply(`Buying item ${ctx.payload.id}`))
+ * bot.use(shop)
+ */
+class Composer {
+  /**
+   * Create a Composer from optional initial middlewares.
+   * @param {...(Function|{middleware: Function})} fns - Middlewares or composers
+   */
+  constructor(...fns) {
+    this.handler = Composer.compose(fns)
+  }
+
+  /**
+   * Register middlewares (or composers) that run in order for every event.
+   * @param {...(Function|{middleware: Function})} fns - Middlewares or composers
+   * @returns {this}
+   */
+  use(...fns) {
+    this.handler = Composer.compose([this.handler, ...fns])
+    return this
+  }
+
+  /**
+   * Register handlers for update types (`message`, `postback`, `referral`,
+   * `optin`, `delivery`, `read`, `reaction`, `account_linking`, `message_edit`,
+   * `handover`, `echo`, `standby`) or message types (`text`, `quick_reply`,
+   * `sticker`, `image`/`photo`, `audio`, `video`, `file`/`document`,
+   * `location`, `contact`, `fallback`).
+   * @param {string|string[]} filters - Update or message type(s)
+   * @param {...Function} fns - Middlewares, the last one usually being the handler
+   * @returns {this}
+   *
+   * @example
+   * bot.on('sticker', (ctx) => ctx.reply(`Nice sticker #${ctx.sticker}`))
+   * bot.on(['image', 'video'], (ctx) => ctx.reply('Thanks for the media!'))
+   * bot.on('referral', (ctx) => ctx.reply(`Welcome from ${ctx.referral.ref}`))
+   */
+  on(filters, ...fns) {
+    return this.use(Composer.on(filters, ...fns))
+  }
+
+  /**
+   * Register handlers for messages whose text contains a string or matches a RegExp.
+   * @param {string|RegExp|Array<string|RegExp>} triggers - Pattern(s) to match
+   * @param {...Function} fns - Middlewares, the last one usually being the handler
+   * @returns {this}
+   */
+  hears(triggers, ...fns) {
+    return this.use(Composer.hears(triggers, ...fns))
+  }
+
+  /**
+   * Register handlers for commands (exact text or RegExp).
+   * @param {string|RegExp|Array<string|RegExp>} commands - Command(s) to match
+   * @param {...Function} fns - Middlewares, the last one usually being the handler
+   * @returns {this}
+   */
+  command(commands, ...fns) {
+    return this.use(Composer.command(commands, ...fns))
+  }
+
+  /**
+   * Register handlers for postback buttons and quick replies.
+   * String triggers match the raw payload or the `action` field of a structured
+   * payload; RegExp triggers expose their match on `ctx.match`.
+   * @param {string|RegExp|Array<string|RegExp>} triggers - Payload(s) or pattern(s) to match
+   * @param {...Function} fns - Middlewares, the last one usually being the handler
+   * @returns {this}
+   *
+   * @example
+   * bot.action(/^PAGE_(\d+)$/, (ctx) => ctx.reply(`Page ${ctx.match[1]}`))
+   * bot.action('buy', (ctx) => ctx.reply(`Buying item ${ctx.payload.id}`))
+   */
+  action(triggers, ...fns) {
+    return this.use(Composer.action(triggers, ...fns))
+  }
+
+  /**
+   * Only continue the chain when the predicate returns true.
+   * @param {(ctx: object) => boolean|Promise<boolean>} predicate - Filter function
+   * @returns {this}
+   */
+  filter(predicate) {
+    return this.use(Composer.filter(predicate))
+  }
+
+  /**
+   * Run one of two middlewares depending on a predicate.
+   * @param {(ctx: object) => boolean|Promise<boolean>} predicate - Condition
+   * @param {Function|{middleware: Function}} trueMiddleware - Runs when the predicate is true
+   * @param {Function|{middleware: Function}} falseMiddleware - Runs otherwise
+   * @returns {this}
+   */
+  branch(predicate, trueMiddleware, falseMiddleware) {
+    return this.use(Composer.branch(predicate, trueMiddleware, falseMiddleware))
+  }
+
+  /**
+   * Run middlewares only when the predicate returns true, otherwise skip them.
+   * @param {(ctx: object) => boolean|Promise<boolean>} predicate - Condition
+   * @param {...Function} fns - Middlewares
+   * @returns {this}
+   */
+  optional(predicate, ...fns) {
+    return this.use(Composer.optional(predicate, ...fns))
+  }
+
+  /**
+   * Build the middleware for each event at runtime.
+   * @param {(ctx: object) => Function|{middleware: Function}|Promise<Function|{middleware: Function}>} factory - Middleware factory
+   * @returns {this}
+   */
+  lazy(factory) {
+    return this.use(Composer.lazy(factory))
+  }
+
+  /**
+   * Get the composed middleware function.
+   * @returns {(ctx: object, next: Function) => Promise<void>} Middleware
+   */
+  middleware() {
+    return this.handler
+  }
+
+  /**
+   * Turn a middleware or an object exposing `middleware()` into a function.
+   * @param {Function|{middleware: Function}} handler - Middleware or composer
+   * @returns {Function} Middleware function
+   */
+  static unwrap(handler) {
+    if (!handler) throw new Error('Handler is undefined')
+    return typeof handler.middleware === 'function'
+      ? handler.middleware()
+      : handler
+  }
+
+  /**
+   * Middleware that just calls `next()`.
+   * @returns {Function} Middleware
+   */
+  static passThru() {
+    return (ctx, next) => next()
+  }
+
+  /**
+   * Compose middlewares into a single middleware, run in order.
+   * @param {Array<Function|{middleware: Function}>} middlewares - Middlewares or composers
+   * @returns {(ctx: object, next?: Function) => Promise<void>} Middleware
+   */
+  static compose(middlewares) {
+    if (!Array.isArray(middlewares)) {
+      throw new TypeError('Middlewares must be an array')
+    }
+    if (middlewares.length === 0) return Composer.passThru()
+    if (middlewares.length === 1) return Composer.unwrap(middlewares[0])
+
+    return (ctx, next) => {
+      let index = -1
+      const execute = async (i) => {
+        if (i <= index) throw new Error('next() called multiple times')
+        index = i
+        const handler =
+          i < middlewares.length ? Composer.unwrap(middlewares[i]) : next
+        if (!handler) return
+        await handler(ctx, () => execute(i + 1))
+      }
+      return execute(0)
+    }
+  }
+
+  /**
+   * Run one of two middlewares depending on a predicate.
+   * @param {(ctx: object) => boolean|Promise<boolean>} predicate - Condition
+   * @param {Function|{middleware: Function}} trueMiddleware - Runs when the predicate is true
+   * @param {Function|{middleware: Function}} falseMiddleware - Runs otherwise
+   * @returns {Function} Middleware
+   */
+  static branch(predicate, trueMiddleware, falseMiddleware) {
+    return async (ctx, next) => {
+      const handler = (await predicate(ctx)) ? trueMiddleware : falseMiddleware
+      return Composer.unwrap(handler)(ctx, next)
+    }
+  }
+
+  /**
+   * Run middlewares only when the predicate returns true.
+   * @param {(ctx: object) => boolean|Promise<boolean>} predicate - Condition
+   * @param {...Function} fns - Middlewares
+   * @returns {Function} Middleware
+   */
+  static optional(predicate, ...fns) {
+    return Composer.branch(
+      predicate,
+      Composer.compose(fns),
+      Composer.passThru()
+    )
+  }
+
+  /**
+   * Only continue the chain when the predicate returns true.
+   * @param {(ctx: object) => boolean|Promise<boolean>} predicate - Filter function
+   * @returns {Function} Middleware
+   */
+  static filter(predicate) {
+    return Composer.branch(predicate, Composer.passThru(), noop)
+  }
+
+  /**
+   * Build the middleware for each event at runtime.
+   * @param {Function} factory - Middleware factory
+   * @returns {Function} Middleware
+   */
+  static lazy(factory) {
+    if (typeof factory !== 'function') {
+      throw new TypeError('Argument must be a function')
+    }
+    return async (ctx, next) => Composer.unwrap(await factory(ctx))(ctx, next)
+  }
+
+  /**
+   * Run middlewares for matching update or message types.
+   * @param {string|string[]} filters - Update or message type(s)
+   * @param {...Function} fns - Middlewares
+   * @returns {Function} Middleware
+   */
+  static on(filters, ...fns) {
+    const types = toArray(filters).map((f) => MESSAGE_TYPE_ALIASES[f] || f)
+    for (const type of types) {
+      if (!UPDATE_TYPES.includes(type) && !MESSAGE_TYPES.includes(type)) {
+        throw new Error(`Unknown update type: ${type}`)
+      }
+    }
+    return Composer.optional(
+      (ctx) =>
+        types.some(
+          (type) => ctx.updateType === type || ctx.messageTypes.includes(type)
+        ),
+      ...fns
+    )
+  }
+
+  /**
+   * Run middlewares when the message text matches a trigger.
+   * Sets `ctx.match` to the RegExp match (or `[text]` for strings).
+   * @param {string|RegExp|Array<string|RegExp>} triggers - Pattern(s); strings match anywhere in the text
+   * @param {...Function} fns - Middlewares
+   * @returns {Function} Middleware
+   */
+  static hears(triggers, ...fns) {
+    return Composer.match(
+      toArray(triggers),
+      (trigger, text) =>
+        typeof trigger === 'string' && text.includes(trigger) ? [text] : null,
+      ...fns
+    )
+  }
+
+  /**
+   * Run middlewares when the message text is one of the commands.
+   * @param {string|RegExp|Array<string|RegExp>} commands - Exact command(s) or pattern(s)
+   * @param {...Function} fns - Middlewares
+   * @returns {Function} Middleware
+   */
+  static command(commands, ...fns) {
+    return Composer.match(
+      toArray(commands),
+      (command, text) =>
+        typeof command === 'string' && text === command ? [text] : null,
+      ...fns
+    )
+  }
+
+  /**
+   * Internal: run middlewares when the message text matches one of the triggers.
+   * @param {Array<string|RegExp>} triggers - Triggers
+   * @param {(trigger: string, text: string) => Array<string>|null} matchString - String matcher
+   * @param {...Function} fns - Middlewares
+   * @returns {Function} Middleware
+   */
+  static match(triggers, matchString, ...fns) {
+    const handler = Composer.compose(fns)
+    return (ctx, next) => {
+      if (ctx.text && ctx.isInput) {
+        for (const trigger of triggers) {
+          const match =
+            trigger instanceof RegExp
+              ? trigger.exec(ctx.text)
+              : matchString(trigger, ctx.text)
+          if (match) {
+            ctx.match = match
+            return handler(ctx, next)
+          }
+        }
+      }
+      return next()
+    }
+  }
+
+  /**
+   * Run middlewares when a postback or quick reply payload matches a trigger.
+   * @param {string|RegExp|Array<string|RegExp>} triggers - Payload(s) or pattern(s)
+   * @param {...Function} fns - Middlewares
+   * @returns {Function} Middleware
+   */
+  static action(triggers, ...fns) {
+    const arr = toArray(triggers)
+    const handler = Composer.compose(fns)
+    return (ctx, next) => {
+      if (ctx.rawPayload !== undefined && ctx.isInput) {
+        for (const trigger of arr) {
+          const match = matchPayload(trigger, ctx.rawPayload, ctx.payload)
+          if (match) {
+            ctx.match = match
+            return handler(ctx, next)
+          }
+        }
+      }
+      return next()
+    }
+  }
+}
+
+/**
+ * Router - Dispatch events to handlers by a computed route name.
+ *
+ * @example
+ * const router = new Router((ctx) => ({ route: ctx.session.role }))
+ * router.on('admin', adminComposer)
+ * router.otherwise((ctx) => ctx.reply('Not allowed'))
+ * bot.use(router)
+ */
+class Router {
+  /**
+   * Create a Router.
+   * @param {(ctx: object) => {route: string, context?: object}|null|Promise<{route: string, context?: object}|null>} routeFn - Computes the route (and optional extra context) for an event
+   * @param {Map<string, Function>} [handlers] - Initial route handlers
+   */
+  constructor(routeFn, handlers = new Map()) {
+    if (typeof routeFn !== 'function') {
+      throw new TypeError('Missing routing function')
+    }
+    this.routeFn = routeFn
+    this.handlers = handlers
+    this.otherwiseHandler = Composer.passThru()
+  }
+
+  /**
+   * Register middlewares for a route.
+   * @param {string} route - Route name
+   * @param {...Function} fns - Middlewares
+   * @returns {this}
+   */
+  on(route, ...fns) {
+    this.handlers.set(route, Composer.compose(fns))
+    return this
+  }
+
+  /**
+   * Register middlewares for events with no matching route.
+   * @param {...Function} fns - Middlewares
+   * @returns {this}
+   */
+  otherwise(...fns) {
+    this.otherwiseHandler = Composer.compose(fns)
+    return this
+  }
+
+  /**
+   * Get the routing middleware.
+   * @returns {Function} Middleware
+   */
+  middleware() {
+    return Composer.lazy(async (ctx) => {
+      const result = await this.routeFn(ctx)
+      if (!result) return this.otherwiseHandler
+      if (result.context) Object.assign(ctx, result.context)
+      return this.handlers.get(result.route) || this.otherwiseHandler
+    })
+  }
+}
+
+export { Composer, Router, noop }
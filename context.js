@@ -1,3 +1,91 @@
+import {
+  contentTypeFromName,
+  downloadAttachment,
+  saveAttachment,
+} from './attachments.js'
+import Markup from './markup.js'
+import { decodePayload } from './payload.js'
+
+/**
+ * Webhook event fields that identify the update type, mapped to the type.
+ * Handover protocol events share the `handover` type.
+ * @type {Object<string, string>}
+ */
+const UPDATE_FIELDS = {
+  message: 'message',
+  postback: 'postback',
+  referral: 'referral',
+  optin: 'optin',
+  delivery: 'delivery',
+  read: 'read',
+  reaction: 'reaction',
+  account_linking: 'account_linking',
+  message_edit: 'message_edit',
+  pass_thread_control: 'handover',
+  take_thread_control: 'handover',
+  request_thread_control: 'handover',
+  app_roles: 'handover',
+}
+
+/**
+ * Update types accepted by `bot.on()`. Echoes of the page's own messages and
+ * events received while another app controls the thread (standby) get their
+ * own types so message handlers never see them.
+ * @type {string[]}
+ */
+const UPDATE_TYPES = [
+  ...new Set(Object.values(UPDATE_FIELDS)),
+  'echo',
+  'standby',
+]
+
+/**
+ * Update types that carry user input (text, attachments, payloads).
+ * @type {string[]}
+ */
+const INPUT_UPDATE_TYPES = ['message', 'postback']
+
+/**
+ * Attachment types that map one-to-one onto message types.
+ * @type {string[]}
+ */
+const ATTACHMENT_TYPES = [
+  'audio',
+  'video',
+  'file',
+  'location',
+  'contact',
+  'fallback',
+]
+
+/**
+ * How often `withTyping` re-sends typing_on (Messenger hides it after ~20s).
+ * @type {number}
+ */
+const TYPING_REFRESH_MS = 15000
+
+/**
+ * Keys of `reply()` extras that are send options rather than markup.
+ * @type {string[]}
+ */
+const SEND_OPTION_KEYS = ['delay', 'messaging_type', 'tag']
+
+/**
+ * Split a `reply()` extra object into send options and markup.
+ * @param {object} [extra] - Markup merged with send options
+ * @returns {[object, object|undefined]} Send options and the remaining markup
+ */
+function splitExtra(extra) {
+  if (!extra || typeof extra !== 'object') return [{}, extra]
+  const options = {}
+  const markup = {}
+  for (const [key, value] of Object.entries(extra)) {
+    if (SEND_OPTION_KEYS.includes(key)) options[key] = value
+    else markup[key] = value
+  }
+  return [options, markup]
+}
+
 /**
  * Context class for handling Messenger events.
  * Provides convenient helpers for replying and accessing event/session data.
@@ -9,8 +97,10 @@ class Context {
    * @param {object} bot - Bot instance used for sending messages.
    * @param {object} event - Messenger webhook event object.
    * @param {string} senderId - Sender's Messenger PSID (chat ID).
+   * @param {object} [options]
+   * @param {boolean} [options.standby=false] - Whether the event came from the standby channel
    */
-  constructor(bot, event, senderId) {
+  constructor(bot, event, senderId, { standby = false } = {}) {
     /**
      * Reference to the bot instance.
      * @type {object}
@@ -23,12 +113,46 @@ class Context {
      */
     this.chat = { id: senderId }
 
+    /**
+     * Sender's profile (populated by the userProfile middleware).
+     * @type {{id: string, first_name?: string, last_name?: string, profile_pic?: string, locale?: string, timezone?: number}|null}
+     */
+    this.from = null
+
+    /**
+     * ID of the page that received the event (useful for per-page session keys).
+     * @type {string|undefined}
+     */
+    this.pageId = event.message?.is_echo
+      ? event.sender?.id
+      : event.recipient?.id
+
     /**
      * Message text from the user (if available).
      * @type {string|undefined}
      */
     this.text = event.message?.text
 
+    /**
+     * Raw payload string of a postback or quick reply (if available).
+     * @type {string|undefined}
+     */
+    this.rawPayload =
+      event.postback?.payload ?? event.message?.quick_reply?.payload
+
+    /**
+     * Decoded payload: the structured object built with `Markup.button(text, data)`,
+     * or the raw payload string.
+     * @type {object|string|undefined}
+     */
+    this.payload = decodePayload(this.rawPayload)
+
+    /**
+     * Match result of the `bot.action()` trigger that handled this event.
+     * @type {Array<string>|null}
+     */
+    this.match = null
+
     /**
      * Raw Messenger webhook event.
      * @type {object}
@@ -42,11 +166,17 @@ class Context {
     this.session = {}
 
     /**
-     * Scene state (populated by stage middleware).
-     * @type {object|null}
+     * Scene controls (populated by SceneManager middleware).
+     * @type {import('./scenes.js').SceneContext|null}
      */
     this.scene = null
 
+    /**
+     * Step cursor of the active scene (populated by SceneManager middleware).
+     * @type {import('./scenes.js').WizardContext|null}
+     */
+    this.wizard = null
+
     /**
      * All message attachments (images, files, etc).
      * @type {Array<object>}
@@ -54,10 +184,12 @@ class Context {
     this.attachments = event.message?.attachments || []
 
     /**
-     * Filtered image attachments.
+     * Filtered image attachments (stickers excluded).
      * @type {Array<object>}
      */
-    this.images = this.attachments.filter((a) => a.type === 'image')
+    this.images = this.attachments.filter(
+      (a) => a.type === 'image' && !a.payload?.sticker_id
+    )
 
     /**
      * Filtered file/audio/video attachments.
@@ -68,28 +200,167 @@ class Context {
     )
 
     /**
-     * Filtered PDF attachments.
+     * Filtered PDF attachments (detected from the URL's path, so CDN query
+     * strings don't matter).
      * @type {Array<object>}
      */
     this.pdfs = this.attachments.filter(
-      (a) => a.type === 'file' && a.payload?.url?.endsWith('.pdf')
+      (a) =>
+        a.type === 'file' &&
+        contentTypeFromName(a.payload?.url) === 'application/pdf'
     )
+
+    /**
+     * Sticker ID (if the message is a sticker, including the thumbs-up).
+     * @type {number|undefined}
+     */
+    this.sticker =
+      event.message?.sticker_id ??
+      this.attachments.find((a) => a.payload?.sticker_id)?.payload.sticker_id
+
+    /**
+     * Shared location coordinates (if available).
+     * @type {{lat: number, long: number}|undefined}
+     */
+    this.location = this.attachments.find(
+      (a) => a.type === 'location'
+    )?.payload?.coordinates
+
+    /**
+     * Whether the event was received while another app controls the thread.
+     * @type {boolean}
+     */
+    this.standby = standby
+
+    /**
+     * Referral data of an m.me link, ad or Get Started postback
+     * (`{ ref, source, type, ad_id, referer_uri }`).
+     * @type {object|undefined}
+     */
+    this.referral = event.referral ?? event.postback?.referral
+
+    /**
+     * Checkbox plugin or notification opt-in (if available).
+     * @type {object|undefined}
+     */
+    this.optin = event.optin
+
+    /**
+     * Checkbox plugin reference of a user who has no PSID yet. Such opt-ins
+     * use it as `ctx.chat.id` and session key; message the user with
+     * `bot.callSendApi({ recipient: { user_ref }, message })`.
+     * @type {string|undefined}
+     */
+    this.userRef = event.sender?.id ? undefined : event.optin?.user_ref
+
+    /**
+     * Delivery receipt (`{ mids, watermark }`) (if available).
+     * @type {object|undefined}
+     */
+    this.delivery = event.delivery
+
+    /**
+     * Read receipt (`{ watermark }`): messages sent before it were read.
+     * @type {object|undefined}
+     */
+    this.read = event.read
+
+    /**
+     * Reaction to a message (`{ mid, action, reaction, emoji }`) (if available).
+     * @type {object|undefined}
+     */
+    this.reaction = event.reaction
+
+    /**
+     * Account linking result (`{ status, authorization_code }`) (if available).
+     * @type {object|undefined}
+     */
+    this.accountLinking = event.account_linking
+
+    /**
+     * Edited message (`{ mid, text, num_edit }`) (if available).
+     * @type {object|undefined}
+     */
+    this.messageEdit = event.message_edit
+
+    const field = Object.keys(UPDATE_FIELDS).find((key) => event[key])
+
+    /**
+     * Handover protocol event with its kind: `pass_thread_control`,
+     * `take_thread_control`, `request_thread_control` or `app_roles`.
+     * @type {{type: string}|undefined}
+     */
+    this.handover =
+      UPDATE_FIELDS[field] === 'handover'
+        ? { type: field, ...event[field] }
+        : undefined
+
+    /**
+     * Update type of this event, used by `bot.on()` filters: one of
+     * `UPDATE_TYPES`.
+     * @type {string|undefined}
+     */
+    this.updateType = standby
+      ? 'standby'
+      : event.message?.is_echo
+        ? 'echo'
+        : UPDATE_FIELDS[field]
+
+    /**
+     * Message types contained in this event, used by typed `bot.on()` filters.
+     * One or more of: text, quick_reply, sticker, image, audio, video, file,
+     * location, contact, fallback.
+     * @type {string[]}
+     */
+    this.messageTypes = []
+    if (this.updateType === 'message') {
+      if (this.text) this.messageTypes.push('text')
+      if (event.message.quick_reply) this.messageTypes.push('quick_reply')
+      if (this.sticker !== undefined) this.messageTypes.push('sticker')
+      if (this.images.length > 0) this.messageTypes.push('image')
+      for (const type of ATTACHMENT_TYPES) {
+        if (this.attachments.some((a) => a.type === type)) {
+          this.messageTypes.push(type)
+        }
+      }
+    }
+  }
+
+  /**
+   * Whether this event carries user input (a message or postback) that
+   * commands, actions and scene steps should react to.
+   * @type {boolean}
+   */
+  get isInput() {
+    return INPUT_UPDATE_TYPES.includes(this.updateType)
   }
 
   /**
    * Reply to the user with text, quick replies, or Messenger templates.
+   * Templates other than the button template carry no text of their own, so a
+   * text passed along with them is sent as a separate message first.
    * @param {string|object} textOrPayload - Text message or Messenger payload object.
-   * @param {object} [markup] - Optional markup object (quick replies or templates).
+   * @param {object} [extra] - Optional markup object (quick replies or templates) and send options.
+   * @param {number} [extra.delay] - Milliseconds to wait after the previous message to this user
+   * @param {string} [extra.messaging_type] - Messaging type (RESPONSE, UPDATE or MESSAGE_TAG)
+   * @param {string} [extra.tag] - Message tag for replies outside the 24-hour window
    * @returns {Promise<void>}
+   *
+   * @example
+   * await ctx.reply(Markup.genericTemplate(products))
+   * await ctx.reply('Your order:', Markup.receiptTemplate(order))
+   * await ctx.reply('One more thing...', { delay: 1500 })
    */
-  async reply(textOrPayload, markup) {
+  async reply(textOrPayload, extra) {
+    const [options, markup] = splitExtra(extra)
     if (markup && typeof markup === 'object') {
       // Messenger quick replies
       if (markup.quick_replies) {
-        return this.bot.sendMessage(this.chat.id, {
-          text: textOrPayload,
-          quick_replies: markup.quick_replies,
-        })
+        return this.bot.sendMessage(
+          this.chat.id,
+          { text: textOrPayload, quick_replies: markup.quick_replies },
+          options
+        )
       }
 
       // Messenger inline keyboard (button template)
@@ -97,77 +368,234 @@ class Context {
         markup.attachment &&
         markup.attachment.payload?.template_type === 'button'
       ) {
-        // Ensure text is set in the button template
-        markup.attachment.payload.text = textOrPayload
-        return this.bot.sendMessage(this.chat.id, markup)
+        // Set the text on a copy so shared markup objects stay untouched
+        return this.bot.sendMessage(
+          this.chat.id,
+          {
+            ...markup,
+            attachment: {
+              ...markup.attachment,
+              payload: { ...markup.attachment.payload, text: textOrPayload },
+            },
+          },
+          options
+        )
       }
 
-      // Other Messenger templates
+      // Other Messenger templates and attachments
       if (markup.attachment) {
-        return this.bot.sendMessage(this.chat.id, markup)
+        const { delay, ...followUpOptions } = options
+        if (textOrPayload) {
+          await this.bot.sendMessage(this.chat.id, textOrPayload, options)
+          return this.bot.sendMessage(this.chat.id, markup, followUpOptions)
+        }
+        return this.bot.sendMessage(this.chat.id, markup, options)
       }
     }
 
-    // Fallback: send plain text
-    return this.bot.sendMessage(this.chat.id, textOrPayload)
+    // Fallback: send plain text (or a full payload such as a template)
+    return this.bot.sendMessage(this.chat.id, textOrPayload, options)
+  }
+
+  /**
+   * Reply with a carousel of cards (generic template).
+   * @param {Array<object>} elements - 1 to 10 elements ({ title, subtitle, image_url, default_action, buttons })
+   * @param {object} [options] - Generic template options ({ image_aspect_ratio }) and send options ({ delay, messaging_type, tag })
+   * @returns {Promise<void>}
+   */
+  async replyWithCarousel(elements, options) {
+    const [sendOptions, templateOptions] = splitExtra(options)
+    return this.bot.sendMessage(
+      this.chat.id,
+      Markup.genericTemplate(elements, templateOptions),
+      sendOptions
+    )
   }
 
   /**
    * Reply with a photo attachment.
-   * @param {string} url - Image URL.
+   * @param {string|URL|{path: string}|Buffer|import('stream').Readable} source - Image URL, attachment ID, `file://` URL, `{ path }`, Buffer or stream
+   * @param {object} [options] - Send options ({ delay, messaging_type, tag })
    * @returns {Promise<void>}
    */
-  async replyWithPhoto(url) {
-    return this.bot.sendMessage(this.chat.id, {
-      attachment: {
-        type: 'image',
-        payload: { url },
-      },
-    })
+  async replyWithPhoto(source, options) {
+    return this.bot.sendMessage(
+      this.chat.id,
+      Markup.replyWithPhoto(source),
+      options
+    )
   }
 
   /**
    * Reply with a document/file attachment.
-   * @param {string} url - File URL.
+   * @param {string|URL|{path: string}|Buffer|import('stream').Readable} source - File URL, attachment ID, `file://` URL, `{ path }`, Buffer or stream
+   * @param {object} [options] - Send options ({ delay, messaging_type, tag })
    * @returns {Promise<void>}
    */
-  async replyWithDocument(url) {
-    return this.bot.sendMessage(this.chat.id, {
-      attachment: {
-        type: 'file',
-        payload: { url },
-      },
-    })
+  async replyWithDocument(source, options) {
+    return this.bot.sendMessage(
+      this.chat.id,
+      Markup.replyWithDocument(source),
+      options
+    )
   }
 
   /**
    * Reply with an audio attachment.
-   * @param {string} url - Audio file URL.
+   * @param {string|URL|{path: string}|Buffer|import('stream').Readable} source - Audio file URL, attachment ID, `file://` URL, `{ path }`, Buffer or stream
+   * @param {object} [options] - Send options ({ delay, messaging_type, tag })
    * @returns {Promise<void>}
    */
-  async replyWithAudio(url) {
-    return this.bot.sendMessage(this.chat.id, {
-      attachment: {
-        type: 'audio',
-        payload: { url },
-      },
-    })
+  async replyWithAudio(source, options) {
+    return this.bot.sendMessage(
+      this.chat.id,
+      Markup.replyWithAudio(source),
+      options
+    )
   }
 
   /**
    * Reply with a video attachment.
-   * @param {string} url - Video file URL.
+   * @param {string|URL|{path: string}|Buffer|import('stream').Readable} source - Video file URL, attachment ID, `file://` URL, `{ path }`, Buffer or stream
+   * @param {object} [options] - Send options ({ delay, messaging_type, tag })
    * @returns {Promise<void>}
    */
-  async replyWithVideo(url) {
-    return this.bot.sendMessage(this.chat.id, {
-      attachment: {
-        type: 'video',
-        payload: { url },
-      },
+  async replyWithVideo(source, options) {
+    return this.bot.sendMessage(
+      this.chat.id,
+      Markup.replyWithVideo(source),
+      options
+    )
+  }
+
+  /**
+   * Download an attachment the user sent.
+   * @param {object|string} attachment - One of `ctx.attachments` (or `images`, `files`, `pdfs`), or its URL
+   * @param {object} [options]
+   * @param {number} [options.maxBytes=26214400] - Size limit (default: 25 MB)
+   * @param {boolean} [options.stream=false] - Resolve with a stream instead of a Buffer
+   * @returns {Promise<{data: Buffer|import('stream').Readable, contentType: string, size: number|undefined, filename: string|undefined}>} File
+   * @throws {RangeError} When the attachment exceeds `maxBytes`
+   *
+   * @example
+   * const { data, contentType } = await ctx.downloadAttachment(ctx.images[0], { maxBytes: 5e6 })
+   */
+  async downloadAttachment(attachment, options) {
+    return downloadAttachment(attachment, options)
+  }
+
+  /**
+   * Save an attachment the user sent to disk.
+   * @param {object|string} attachment - One of `ctx.attachments` (or `images`, `files`, `pdfs`), or its URL
+   * @param {string} destination - File path, or an existing directory to save into under the URL's file name
+   * @param {object} [options]
+   * @param {number} [options.maxBytes=26214400] - Size limit (default: 25 MB)
+   * @returns {Promise<{path: string, contentType: string, size: number}>} Saved file
+   * @throws {RangeError} When the attachment exceeds `maxBytes`
+   *
+   * @example
+   * bot.on('file', async (ctx) => {
+   *   for (const pdf of ctx.pdfs) await ctx.saveAttachment(pdf, './uploads', { maxBytes: 10e6 })
+   * })
+   */
+  async saveAttachment(attachment, destination, options) {
+    return saveAttachment(attachment, destination, options)
+  }
+
+  /**
+   * Send a sender action to the user.
+   * @param {'typing_on'|'typing_off'|'mark_seen'} action - Sender action
+   * @returns {Promise<void>}
+   */
+  async sendAction(action) {
+    return this.bot.sendAction(this.chat.id, action)
+  }
+
+  /**
+   * Pass thread control to another app (handover protocol).
+   * @param {string} targetAppId - App ID to pass control to (263902037430900 is the Page Inbox)
+   * @param {string} [metadata] - Metadata sent along to the other app
+   * @returns {Promise<{success: boolean}>}
+   * @throws {MessengerApiError} When the Graph API rejects the request
+   */
+  async passThreadControl(targetAppId, metadata) {
+    return this.bot.client.post('/me/pass_thread_control', {
+      recipient: { id: this.chat.id },
+      target_app_id: targetAppId,
+      metadata,
+    })
+  }
+
+  /**
+   * Take thread control back from another app (primary receiver only).
+   * @param {string} [metadata] - Metadata sent along to the other app
+   * @returns {Promise<{success: boolean}>}
+   * @throws {MessengerApiError} When the Graph API rejects the request
+   */
+  async takeThreadControl(metadata) {
+    return this.bot.client.post('/me/take_thread_control', {
+      recipient: { id: this.chat.id },
+      metadata,
     })
   }
 
+  /**
+   * Ask the primary receiver for thread control (secondary receivers only).
+   * @param {string} [metadata] - Metadata sent along to the primary receiver
+   * @returns {Promise<{success: boolean}>}
+   * @throws {MessengerApiError} When the Graph API rejects the request
+   */
+  async requestThreadControl(metadata) {
+    return this.bot.client.post('/me/request_thread_control', {
+      recipient: { id: this.chat.id },
+      metadata,
+    })
+  }
+
+  /**
+   * Fetch the sender's profile (cached by the bot).
+   * @param {string[]} [fields] - Profile fields (default: first_name, last_name, profile_pic)
+   * @returns {Promise<object>} Profile
+   * @throws {MessengerApiError} When the Graph API rejects the request
+   *
+   * @example
+   * const { first_name } = await ctx.getUserProfile()
+   * await ctx.reply(`Hi ${first_name}!`)
+   */
+  async getUserProfile(fields) {
+    return this.bot.getUserProfile(this.chat.id, fields)
+  }
+
+  /**
+   * Show the typing indicator while a slow task runs, then clear it.
+   * Messenger hides the indicator after about 20 seconds, so it is refreshed
+   * until the task settles. Failures to show or clear the indicator are
+   * logged and never affect the task or its result.
+   * @param {() => Promise<*>} fn - Task to run (LLM call, database query, ...)
+   * @returns {Promise<*>} The task's result
+   *
+   * @example
+   * const answer = await ctx.withTyping(() => askLLM(ctx.text))
+   * await ctx.reply(answer)
+   */
+  async withTyping(fn) {
+    const sendTyping = (action) =>
+      this.sendAction(action).catch((err) => {
+        console.error('Error sending typing indicator:', err.message)
+      })
+    await sendTyping('typing_on')
+    const refresh = setInterval(
+      () => sendTyping('typing_on'),
+      TYPING_REFRESH_MS
+    )
+    try {
+      return await fn()
+    } finally {
+      clearInterval(refresh)
+      await sendTyping('typing_off')
+    }
+  }
+
   /**
    * Extend the context with a custom property.
    * @param {string} key - Property name.
@@ -179,3 +607,4 @@ class Context {
 }
 
 export default Context
+export { UPDATE_TYPES }
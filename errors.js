@@ -0,0 +1,95 @@
+/**
+ * Error codes the Graph API uses for throttling.
+ * @type {number[]}
+ */
+const RATE_LIMIT_CODES = [4, 17, 32, 613]
+
+/**
+ * Error codes the Graph API uses for temporary failures.
+ * @type {number[]}
+ */
+const TRANSIENT_CODES = [1, 2]
+
+/**
+ * Error thrown when the Graph API rejects a request.
+ * Carries the Graph error details so callers can react to specific failures,
+ * e.g. code 551 when the user is unavailable or code 10 outside the messaging window.
+ */
+class MessengerApiError extends Error {
+  /**
+   * Create a MessengerApiError from a Graph API error response.
+   * @param {object} options
+   * @param {number} [options.status] - HTTP status code
+   * @param {object} [options.error] - `error` object of the Graph API response
+   * @param {object} [options.headers] - Response headers
+   */
+  constructor({ status, error = {}, headers = {} } = {}) {
+    super(error.message || `Graph API request failed with status ${status}`)
+    this.name = 'MessengerApiError'
+
+    /**
+     * HTTP status code.
+     * @type {number|undefined}
+     */
+    this.status = status
+
+    /**
+     * Graph API error code.
+     * @type {number|undefined}
+     */
+    this.code = error.code
+
+    /**
+     * Graph API error subcode.
+     * @type {number|undefined}
+     */
+    this.subcode = error.error_subcode
+
+    /**
+     * Graph API error type (e.g. OAuthException).
+     * @type {string|undefined}
+     */
+    this.type = error.type
+
+    /**
+     * Trace ID to quote when reporting the error to Facebook.
+     * @type {string|undefined}
+     */
+    this.fbtraceId = error.fbtrace_id
+
+    /**
+     * Whether Facebook flagged the error as transient.
+     * @type {boolean}
+     */
+    this.graphTransient = Boolean(error.is_transient)
+
+    /**
+     * Response headers (used for Retry-After).
+     * @type {object}
+     */
+    this.headers = headers
+  }
+
+  /**
+   * Whether the request was throttled.
+   * @type {boolean}
+   */
+  get isRateLimit() {
+    return this.status === 429 || RATE_LIMIT_CODES.includes(this.code)
+  }
+
+  /**
+   * Whether retrying the same request later may succeed.
+   * @type {boolean}
+   */
+  get isTransient() {
+    return (
+      this.graphTransient ||
+      this.isRateLimit ||
+      this.status >= 500 ||
+      TRANSIENT_CODES.includes(this.code)
+    )
+  }
+}
+
+export { MessengerApiError }
@@ -0,0 +1,526 @@
+import Markup from './markup.js'
+import { Scene } from './scenes.js'
+
+/**
+ * Payloads of the quick replies FormScene sends itself.
+ * @type {Object<string, string>}
+ */
+const FORM_PAYLOADS = {
+  confirm: '__FORM_CONFIRM',
+  edit: '__FORM_EDIT',
+  editField: '__FORM_EDIT_FIELD',
+  editMore: '__FORM_EDIT_MORE',
+}
+
+/**
+ * Messenger's limit on quick replies per message.
+ * @type {number}
+ */
+const MAX_QUICK_REPLIES = 13
+
+/**
+ * Default texts, overridable with the `messages` option.
+ * @type {Object<string, string>}
+ */
+const DEFAULT_MESSAGES = {
+  invalid: 'Sorry, that is not a valid answer. Please try again.',
+  text: 'Please answer with a text message.',
+  email: 'Please enter a valid email address.',
+  number: 'Please enter a number.',
+  phone: 'Please enter a valid phone number, e.g. +15105551234.',
+  date: 'Please enter a date, e.g. 2024-12-31.',
+  choice: 'Please pick one of the options.',
+  photo: 'Please send a photo.',
+  location: 'Please share a location.',
+  tooManyAttempts: 'Too many invalid answers. Let us stop here.',
+  confirm: 'Please check your answers:',
+  confirmButton: 'Confirm',
+  editButton: 'Edit',
+  edit: 'Which answer would you like to change?',
+  editMoreButton: 'More…',
+}
+
+/**
+ * Internal: parse the raw answer to a question into a typed value.
+ * Returns undefined when the event does not contain a valid answer.
+ */
+const PARSERS = {
+  text: (ctx) => ctx.text?.trim() || undefined,
+
+  email: (ctx) => {
+    // The user_email quick reply puts the address in the payload
+    const value = (ctx.rawPayload ?? ctx.text)?.trim()
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value || '')
+      ? value.toLowerCase()
+      : undefined
+  },
+
+  number: (ctx, question) => {
+    let text = ctx.text?.trim()
+    // "1,000" and "1,000.5" use thousands separators, "3,5" a decimal comma;
+    // other uses of commas are ambiguous and rejected
+    if (/^[+-]?\d{1,3}(,\d{3})+(\.\d+)?$/.test(text)) {
+      text = text.replaceAll(',', '')
+    } else if (/^[+-]?\d+,\d+$/.test(text)) {
+      text = text.replace(',', '.')
+    }
+    const value = text ? Number(text) : NaN
+    if (!Number.isFinite(value)) return undefined
+    if (question.integer && !Number.isInteger(value)) return undefined
+    if (question.min !== undefined && value < question.min) return undefined
+    if (question.max !== undefined && value > question.max) return undefined
+    return value
+  },
+
+  phone: (ctx) => {
+    // The user_phone_number quick reply puts the number in the payload
+    const value = (ctx.rawPayload ?? ctx.text)?.replace(/[\s().-]/g, '')
+    return /^\+?\d{7,15}$/.test(value || '') ? value : undefined
+  },
+
+  date: (ctx) => {
+    const text = ctx.text?.trim()
+    if (!text) return undefined
+    const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text)
+    const date = iso
+      ? new Date(Date.UTC(iso[1], iso[2] - 1, iso[3]))
+      : new Date(`${text} UTC`)
+    if (Number.isNaN(date.getTime())) return undefined
+    // Reject overflowing dates such as 2024-02-31
+    if (iso && date.getUTCDate() !== Number(iso[3])) return undefined
+    return date.toISOString().slice(0, 10)
+  },
+
+  choice: (ctx, question) => {
+    const choices = normalizeChoices(question.choices)
+    const byPayload = choices.find(
+      (c) => ctx.rawPayload !== undefined && c.payload === ctx.rawPayload
+    )
+    if (byPayload) return byPayload.value
+    const text = ctx.text?.trim().toLowerCase()
+    return choices.find((c) => c.title.toLowerCase() === text)?.value
+  },
+
+  photo: (ctx) => ctx.images[0]?.payload?.url,
+
+  location: (ctx) => ctx.location,
+}
+
+/**
+ * Internal: turn `choices` (strings or `{ title, value }`) into quick reply options.
+ * @param {Array<string|{title: string, value?: *}>} choices - Choices
+ * @returns {Array<{title: string, value: *, payload: string}>} Normalized choices
+ */
+function normalizeChoices(choices = []) {
+  return choices.map((choice, index) => {
+    const { title, value = title } =
+      typeof choice === 'string' ? { title: choice } : choice
+    return { title, value, payload: `__FORM_CHOICE_${index}` }
+  })
+}
+
+/**
+ * FormScene - A scene driven by a list of questions.
+ * Asks each question in turn, validates and converts the answers, collects
+ * them in `ctx.scene.state`, then shows a summary the user can confirm or edit
+ * before `onComplete(ctx, answers)` is called.
+ *
+ * Question types: `text`, `email`, `number` (`min`, `max`, `integer`),
+ * `phone`, `date` (answers are `YYYY-MM-DD` strings), `choice` (`choices`
+ * shown as quick replies), `photo` (answers are image URLs) and `location`
+ * (answers are `{ lat, long }`). A question with a `scene` is answered by
+ * calling that scene, and the result it leaves with becomes the answer.
+ *
+ * @example
+ * const signup = new FormScene('signup', [
+ *   { name: 'name', question: 'What is your name?' },
+ *   { name: 'email', type: 'email', question: 'Your email?' },
+ *   { name: 'age', type: 'number', question: 'How old are you?', min: 1, validate: (age) => age >= 18 || 'You must be 18 or older.' },
+ *   { name: 'plan', type: 'choice', question: 'Pick a plan', choices: ['Free', { title: 'Pro ($5)', value: 'pro' }] },
+ *   { name: 'company', question: 'Company name?', skip: (answers) => answers.plan !== 'pro' },
+ * ], {
+ *   onComplete: (ctx, answers) => ctx.reply(`Thanks ${answers.name}!`),
+ * })
+ */
+class FormScene extends Scene {
+  /**
+   * @param {string} name - Scene name
+   * @param {Array<object>} questions - Question schema
+   * @param {string} questions[].name - Answer key in `ctx.scene.state`
+   * @param {string} questions[].question - Prompt sent to the user
+   * @param {'text'|'email'|'number'|'phone'|'date'|'choice'|'photo'|'location'} [questions[].type='text'] - Answer type
+   * @param {string} [questions[].label] - Name shown in the summary (defaults to `name`)
+   * @param {Array<string|{title: string, value?: *}>} [questions[].choices] - Options of a `choice` question
+   * @param {Function|Function[]} [questions[].validate] - `(value, ctx, answers)` returning true, false or an error message
+   * @param {string|((ctx: object, error?: string) => string)} [questions[].retry] - Message sent after an invalid answer
+   * @param {number} [questions[].maxAttempts] - Invalid answers allowed before the form is abandoned (default: unlimited)
+   * @param {(answers: object, ctx: object) => boolean} [questions[].skip] - Skip the question when it returns true
+   * @param {string} [questions[].scene] - Answer the question with a sub-scene instead: its result becomes the answer
+   * @param {object|((answers: object, ctx: object) => object)} [questions[].sceneState] - Initial state of that sub-scene
+   * @param {object} [options]
+   * @param {(ctx: object, answers: object) => void|Promise<void>} [options.onComplete] - Called with the answers once confirmed
+   * @param {(ctx: object, answers: object) => void|Promise<void>} [options.onFail] - Called when a question runs out of attempts (defaults to a reply)
+   * @param {boolean} [options.confirm=true] - Ask the user to confirm or edit the answers before completing
+   * @param {(answers: object) => string} [options.summary] - Formats the answers shown for confirmation
+   * @param {Object<string, string>} [options.messages] - Overrides of the default texts
+   * @param {number} [options.timeout] - Abandon the form after this many milliseconds without activity
+   */
+  constructor(
+    name,
+    questions,
+    {
+      onComplete = null,
+      onFail = null,
+      confirm = true,
+      summary = null,
+      messages = {},
+      timeout,
+    } = {}
+  ) {
+    super(name, [], { timeout })
+    for (const question of questions) {
+      const type = question.type || 'text'
+      if (question.scene) continue
+      if (!PARSERS[type]) {
+        throw new TypeError(`Unknown question type: ${type}`)
+      }
+      if (type === 'choice' && !question.choices?.length) {
+        throw new TypeError(`Question "${question.name}" needs choices`)
+      }
+      if (type === 'choice' && question.choices.length > MAX_QUICK_REPLIES) {
+        throw new RangeError(
+          `Question "${question.name}" has ${question.choices.length} choices, Messenger shows at most ${MAX_QUICK_REPLIES}`
+        )
+      }
+    }
+    this.questions = questions
+    this.onComplete = onComplete
+    this.onFail = onFail
+    this.confirm = confirm
+    this.summary = summary
+    this.messages = { ...DEFAULT_MESSAGES, ...messages }
+  }
+
+  /**
+   * Internal: form progress kept next to the scene data in the session.
+   * @param {object} ctx - Context
+   * @returns {{index: number, attempts: number, editing: boolean, confirming: boolean}} Progress
+   */
+  progress(ctx) {
+    const data = ctx.session.__scene
+    data.form ??= { index: -1, attempts: 0, editing: false, confirming: false }
+    return data.form
+  }
+
+  /**
+   * Internal: the collected answers, without keys set by `enter()`'s initial state.
+   * @param {object} ctx - Context
+   * @returns {object} Answers by question name
+   */
+  answers(ctx) {
+    const { state } = ctx.scene
+    return Object.fromEntries(
+      this.questions
+        .filter((q) => q.name in state)
+        .map((q) => [q.name, state[q.name]])
+    )
+  }
+
+  /**
+   * Ask the question at an index, or the next one that isn't skipped or
+   * already answered (e.g. through `enter()`'s initial state).
+   * Shows the summary (or completes) when no questions are left.
+   * @param {object} ctx - Context
+   * @param {number} index - Question index to start from
+   * @returns {Promise<void>}
+   */
+  async ask(ctx, index) {
+    const progress = this.progress(ctx)
+    const state = ctx.scene.state
+    while (
+      index < this.questions.length &&
+      (this.questions[index].name in state ||
+        (await this.questions[index].skip?.(state, ctx)))
+    ) {
+      index++
+    }
+
+    Object.assign(progress, { index, attempts: 0 })
+    const question = this.questions[index]
+    if (!question) return this.finish(ctx)
+    await this.prompt(ctx, question)
+  }
+
+  /**
+   * Internal: send a question, or start the sub-scene that answers it.
+   * @param {object} ctx - Context
+   * @param {object} question - Question
+   * @returns {Promise<void>}
+   */
+  async prompt(ctx, question) {
+    if (question.scene) {
+      const state =
+        typeof question.sceneState === 'function'
+          ? await question.sceneState(ctx.scene.state, ctx)
+          : question.sceneState
+      return ctx.scene.call(question.scene, state)
+    }
+    await ctx.reply(question.question, this.questionMarkup(question))
+  }
+
+  /**
+   * Internal: quick replies offered with a question.
+   * @param {object} question - Question
+   * @returns {object|undefined} Quick reply markup
+   */
+  questionMarkup(question) {
+    switch (question.type) {
+      case 'choice':
+        return Markup.keyboard([
+          normalizeChoices(question.choices).map((c) =>
+            Markup.quickReply(c.title, c.payload)
+          ),
+        ])
+      case 'email':
+        return Markup.keyboard([[Markup.emailReply()]])
+      case 'phone':
+        return Markup.keyboard([[Markup.phoneNumberReply()]])
+      default:
+        return undefined
+    }
+  }
+
+  /**
+   * Internal: parse and validate an answer.
+   * @param {object} ctx - Context
+   * @param {object} question - Question
+   * @returns {Promise<{value?: *, error?: string}>} Typed value, or the error to show
+   */
+  async parse(ctx, question) {
+    const type = question.type || 'text'
+    const value = PARSERS[type](ctx, question)
+    if (value === undefined) return { error: this.messages[type] }
+
+    const validators = [].concat(question.validate || [])
+    for (const validate of validators) {
+      const result = await validate(value, ctx, ctx.scene.state)
+      if (result === false) return { error: this.messages.invalid }
+      if (typeof result === 'string') return { error: result }
+    }
+    return { value }
+  }
+
+  /**
+   * Handle an answer to the current question, or a choice on the summary.
+   * Events that aren't messages are passed on to the bot.
+   * @param {object} ctx - Context
+   * @param {Function} next - Passes the event on to the bot's handlers
+   * @returns {Promise<void>}
+   */
+  async handle(ctx, next) {
+    const progress = this.progress(ctx)
+    // Just entered: ask the first question
+    if (progress.index < 0) return this.ask(ctx, 0)
+    if (ctx.scene.returnedFrom) return this.handleResult(ctx)
+    if (!ctx.event.message) return next()
+    if (progress.confirming) return this.handleSummary(ctx)
+
+    const question = this.questions[progress.index]
+    if (!question) return this.finish(ctx)
+    const { value, error } = await this.parse(ctx, question)
+
+    if (error !== undefined) {
+      progress.attempts++
+      if (question.maxAttempts && progress.attempts >= question.maxAttempts) {
+        return this.fail(ctx)
+      }
+      const retry =
+        typeof question.retry === 'function'
+          ? await question.retry(ctx, error)
+          : question.retry || error
+      await ctx.reply(retry, this.questionMarkup(question))
+      return
+    }
+
+    await this.answer(ctx, question, value)
+  }
+
+  /**
+   * Internal: store an answer and move on.
+   * @param {object} ctx - Context
+   * @param {object} question - Answered question
+   * @param {*} value - Typed answer
+   * @returns {Promise<void>}
+   */
+  async answer(ctx, question, value) {
+    const progress = this.progress(ctx)
+    ctx.scene.state[question.name] = value
+    if (progress.editing) return this.finish(ctx)
+    await this.ask(ctx, progress.index + 1)
+  }
+
+  /**
+   * Internal: a sub-scene answering a question returned. Leaving it without a
+   * result cancels the whole form.
+   * @param {object} ctx - Context
+   * @returns {Promise<void>}
+   */
+  async handleResult(ctx) {
+    const question = this.questions[this.progress(ctx).index]
+    if (question?.scene !== ctx.scene.returnedFrom) return
+    if (ctx.scene.result === undefined) return ctx.scene.leave()
+    await this.answer(ctx, question, ctx.scene.result)
+  }
+
+  /**
+   * Internal: all questions answered — show the summary or complete the form.
+   * An edited answer can change skip rules, so answers to questions that are
+   * now skipped are dropped and newly required questions are asked first.
+   * @param {object} ctx - Context
+   * @returns {Promise<void>}
+   */
+  async finish(ctx) {
+    const progress = this.progress(ctx)
+    const state = ctx.scene.state
+    for (const [index, question] of this.questions.entries()) {
+      if (await question.skip?.(state, ctx)) {
+        delete state[question.name]
+      } else if (!(question.name in state)) {
+        Object.assign(progress, { editing: false, confirming: false })
+        return this.ask(ctx, index)
+      }
+    }
+    if (!this.confirm) return this.complete(ctx)
+
+    Object.assign(progress, { confirming: true, editing: false })
+    const answers = this.answers(ctx)
+    const summary = this.summary
+      ? this.summary(answers)
+      : this.questions
+          .filter((q) => q.name in answers)
+          .map((q) => `${q.label || q.name}: ${formatAnswer(answers[q.name])}`)
+          .join('\n')
+    await ctx.reply(
+      `${this.messages.confirm}\n\n${summary}`,
+      Markup.keyboard([
+        [
+          Markup.quickReply(this.messages.confirmButton, FORM_PAYLOADS.confirm),
+          Markup.quickReply(this.messages.editButton, FORM_PAYLOADS.edit),
+        ],
+      ])
+    )
+  }
+
+  /**
+   * Internal: offer the answers to edit as quick replies, one page at a time.
+   * Pages that don't fit in one message end with a "More" quick reply.
+   * @param {object} ctx - Context
+   * @param {number} offset - Index of the first answer of the page
+   * @returns {Promise<void>}
+   */
+  async askEdit(ctx, offset) {
+    const answered = this.questions.filter((q) => q.name in ctx.scene.state)
+    const start = offset < answered.length ? offset : 0
+    const hasMore = answered.length - start > MAX_QUICK_REPLIES
+    const page = answered.slice(
+      start,
+      start + (hasMore ? MAX_QUICK_REPLIES - 1 : MAX_QUICK_REPLIES)
+    )
+    const buttons = page.map((q) =>
+      Markup.quickReply(
+        q.label || q.name,
+        `${FORM_PAYLOADS.editField}:${q.name}`
+      )
+    )
+    if (hasMore) {
+      buttons.push(
+        Markup.quickReply(
+          this.messages.editMoreButton,
+          `${FORM_PAYLOADS.editMore}:${start + page.length}`
+        )
+      )
+    }
+    await ctx.reply(this.messages.edit, Markup.keyboard([buttons]))
+  }
+
+  /**
+   * Internal: handle Confirm, Edit, or the pick of an answer to edit.
+   * @param {object} ctx - Context
+   * @returns {Promise<void>}
+   */
+  async handleSummary(ctx) {
+    const progress = this.progress(ctx)
+    const reply = ctx.rawPayload ?? ctx.text?.trim()
+    const is = (payload, title) =>
+      reply === payload || reply?.toLowerCase() === title.toLowerCase()
+
+    if (is(FORM_PAYLOADS.confirm, this.messages.confirmButton)) {
+      return this.complete(ctx)
+    }
+    if (is(FORM_PAYLOADS.edit, this.messages.editButton)) {
+      return this.askEdit(ctx, 0)
+    }
+    if (reply?.startsWith(`${FORM_PAYLOADS.editMore}:`)) {
+      const offset = Number(reply.slice(FORM_PAYLOADS.editMore.length + 1))
+      return this.askEdit(ctx, offset)
+    }
+
+    const index = this.questions.findIndex(
+      (q) =>
+        is(`${FORM_PAYLOADS.editField}:${q.name}`, q.label || q.name) &&
+        q.name in ctx.scene.state
+    )
+    if (index < 0) return this.finish(ctx)
+
+    Object.assign(progress, {
+      index,
+      attempts: 0,
+      editing: true,
+      confirming: false,
+    })
+    const question = this.questions[index]
+    await this.prompt(ctx, question)
+  }
+
+  /**
+   * Internal: hand the answers to `onComplete`, then leave the scene, returning
+   * them to the calling scene if there is one.
+   * @param {object} ctx - Context
+   * @returns {Promise<void>}
+   */
+  async complete(ctx) {
+    const frame = ctx.session.__scene
+    const answers = this.answers(ctx)
+    if (this.onComplete) await this.onComplete(ctx, answers)
+    // onComplete may have moved on to another scene already
+    if (ctx.session.__scene === frame) await ctx.scene.leave(answers)
+  }
+
+  /**
+   * Internal: leave the scene after too many invalid answers.
+   * @param {object} ctx - Context
+   * @returns {Promise<void>}
+   */
+  async fail(ctx) {
+    const frame = ctx.session.__scene
+    const answers = this.answers(ctx)
+    if (this.onFail) await this.onFail(ctx, answers)
+    else await ctx.reply(this.messages.tooManyAttempts)
+    if (ctx.session.__scene === frame) await ctx.scene.leave()
+  }
+}
+
+/**
+ * Internal: format an answer for the summary.
+ * @param {*} value - Answer
+ * @returns {string} Display text
+ */
+function formatAnswer(value) {
+  // Locations and sub-scene results
+  if (value && typeof value === 'object') {
+    return Object.values(value).map(formatAnswer).join(', ')
+  }
+  return String(value)
+}
+
+export { FormScene }
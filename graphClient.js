@@ -0,0 +1,208 @@
+import axios from 'axios'
+import { MessengerApiError } from './errors.js'
+
+/**
+ * Network error codes worth retrying.
+ * @type {string[]}
+ */
+const RETRYABLE_NETWORK_ERRORS = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'ECONNABORTED',
+  'EAI_AGAIN',
+]
+
+/**
+ * Network error codes meaning the request never reached the server.
+ * @type {string[]}
+ */
+const UNSENT_NETWORK_ERRORS = ['ECONNREFUSED', 'EAI_AGAIN']
+
+/**
+ * POST paths whose requests must not be repeated once they may have arrived:
+ * a repeated send delivers the message twice.
+ * @type {string[]}
+ */
+const NON_IDEMPOTENT_PATHS = ['/me/messages']
+
+/**
+ * Wait for a number of milliseconds.
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/**
+ * GraphApiClient - Minimal Graph API client used by the bot.
+ * Sends the access token in the Authorization header (or the request body),
+ * retries transient and rate-limit errors with exponential backoff, and throws
+ * `MessengerApiError` for failed requests.
+ *
+ * @example
+ * const client = new GraphApiClient({ accessToken, baseUrl: 'http://localhost:4000' })
+ * await client.post('/me/messages', { recipient: { id }, message: { text: 'Hi' } })
+ */
+class GraphApiClient {
+  /**
+   * Create a GraphApiClient.
+   * @param {object} options
+   * @param {string} options.accessToken - Page Access Token
+   * @param {string} [options.apiVersion='v18.0'] - Graph API version
+   * @param {string} [options.baseUrl='https://graph.facebook.com'] - Graph API base URL (point it at a mock server in tests)
+   * @param {'header'|'body'} [options.tokenIn='header'] - Where to send the access token
+   * @param {number} [options.maxRetries=3] - Retries for transient errors
+   * @param {number} [options.retryDelay=500] - Base backoff delay in milliseconds
+   * @param {number} [options.maxRetryDelay=60000] - Longest wait between attempts, including Retry-After
+   * @param {number} [options.timeout=30000] - Request timeout in milliseconds
+   */
+  constructor({
+    accessToken,
+    apiVersion = 'v18.0',
+    baseUrl = 'https://graph.facebook.com',
+    tokenIn = 'header',
+    maxRetries = 3,
+    retryDelay = 500,
+    maxRetryDelay = 60000,
+    timeout = 30000,
+  }) {
+    if (!accessToken) throw new Error('GraphApiClient requires an accessToken')
+    this.accessToken = accessToken
+    this.apiVersion = apiVersion
+    this.baseUrl = baseUrl.replace(/\/+$/, '')
+    this.tokenIn = tokenIn
+    this.maxRetries = maxRetries
+    this.retryDelay = retryDelay
+    this.maxRetryDelay = maxRetryDelay
+    this.http = axios.create({ timeout })
+  }
+
+  /**
+   * Send a request to the Graph API, retrying transient failures.
+   * Sends (POST `/me/messages`) are only retried when they surely never
+   * arrived or were throttled, so users never get a message twice.
+   * @param {'GET'|'POST'|'DELETE'} method - HTTP method
+   * @param {string} path - Path relative to the API version (e.g. `/me/messages`)
+   * @param {object} [options]
+   * @param {object} [options.params] - Query string parameters
+   * @param {object|FormData} [options.data] - JSON body, or a multipart form
+   * @returns {Promise<object>} Response body
+   * @throws {MessengerApiError} When the Graph API rejects the request
+   */
+  async request(method, path, { params, data } = {}) {
+    const config = {
+      method,
+      url: `${this.baseUrl}/${this.apiVersion}${path}`,
+      params,
+      data,
+      headers: {},
+    }
+    if (this.tokenIn === 'body' && method !== 'GET') {
+      if (data instanceof FormData) {
+        // Copy the form so the caller's one stays untouched
+        config.data = new FormData()
+        for (const [name, value] of data) config.data.append(name, value)
+        config.data.append('access_token', this.accessToken)
+      } else {
+        config.data = { ...data, access_token: this.accessToken }
+      }
+    } else {
+      config.headers.Authorization = `Bearer ${this.accessToken}`
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const res = await this.http.request(config)
+        return res.data
+      } catch (err) {
+        const error = this.toError(err)
+        const idempotent = !(
+          method === 'POST' && NON_IDEMPOTENT_PATHS.includes(path)
+        )
+        if (
+          attempt >= this.maxRetries ||
+          !this.isRetryable(error, idempotent)
+        ) {
+          throw error
+        }
+        await sleep(this.backoff(attempt, error))
+      }
+    }
+  }
+
+  /**
+   * Send a GET request.
+   * @param {string} path - Path relative to the API version
+   * @param {object} [params] - Query string parameters
+   * @returns {Promise<object>} Response body
+   */
+  get(path, params) {
+    return this.request('GET', path, { params })
+  }
+
+  /**
+   * Send a POST request.
+   * @param {string} path - Path relative to the API version
+   * @param {object|FormData} [data] - JSON body, or a multipart form
+   * @returns {Promise<object>} Response body
+   */
+  post(path, data) {
+    return this.request('POST', path, { data })
+  }
+
+  /**
+   * Send a DELETE request.
+   * @param {string} path - Path relative to the API version
+   * @param {object} [data] - JSON body
+   * @returns {Promise<object>} Response body
+   */
+  delete(path, data) {
+    return this.request('DELETE', path, { data })
+  }
+
+  /**
+   * Internal: turn an axios error into a MessengerApiError when the Graph API answered.
+   * @param {Error} err - Axios error
+   * @returns {Error} MessengerApiError, or the original error for network failures
+   */
+  toError(err) {
+    if (!err.response) return err
+    return new MessengerApiError({
+      status: err.response.status,
+      error: err.response.data?.error,
+      headers: err.response.headers,
+    })
+  }
+
+  /**
+   * Internal: whether a failed request should be retried.
+   * @param {Error} error - Error thrown by the request
+   * @param {boolean} [idempotent=true] - Whether repeating a request that may have arrived is harmless
+   * @returns {boolean}
+   */
+  isRetryable(error, idempotent = true) {
+    if (error instanceof MessengerApiError) {
+      return idempotent ? error.isTransient : error.isRateLimit
+    }
+    return (
+      idempotent ? RETRYABLE_NETWORK_ERRORS : UNSENT_NETWORK_ERRORS
+    ).includes(error.code)
+  }
+
+  /**
+   * Internal: delay before the next attempt, honoring Retry-After when present.
+   * Never longer than `maxRetryDelay`.
+   * @param {number} attempt - Zero-based attempt number
+   * @param {Error} error - Error thrown by the request
+   * @returns {number} Delay in milliseconds
+   */
+  backoff(attempt, error) {
+    const retryAfter = Number(error.headers?.['retry-after'])
+    if (retryAfter > 0) return Math.min(retryAfter * 1000, this.maxRetryDelay)
+    const delay = this.retryDelay * 2 ** attempt
+    // Jitter spreads retries from concurrent handlers
+    return Math.min(delay + Math.random() * delay * 0.2, this.maxRetryDelay)
+  }
+}
+
+export { GraphApiClient }
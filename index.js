@@ -1,16 +1,132 @@
-import axios from 'axios'
 import express from 'express'
+import {
+  UPLOAD_TYPES,
+  createUploadForm,
+  downloadAttachment,
+  saveAttachment,
+  sourceKind,
+} from './attachments.js'
+import { LruCache } from './cache.js'
+import { Composer, Router } from './composer.js'
 import Context from './context.js'
+import { MessengerApiError } from './errors.js'
+import { FormScene } from './formScene.js'
+import { GraphApiClient } from './graphClient.js'
 import Markup from './markup.js'
+import markSeen from './middlewares/markSeen.js'
+import userProfile from './middlewares/userProfile.js'
+import { MessengerProfile } from './profile.js'
 import { Scene, SceneManager } from './scenes.js'
+import { SendQueue } from './sendQueue.js'
 import session from './session.js'
-import { sessionStore as defaultSessionStore } from './sessionStore.js'
+import { decodePayload, encodePayload } from './payload.js'
+import {
+  FileSessionStore,
+  MemorySessionStore,
+  SqliteSessionStore,
+  defaultSessionKey,
+} from './sessionStore.js'
+import {
+  MAX_BODY_BYTES,
+  SIGNATURE_HEADER,
+  readRawBody,
+  sendResponse,
+  verifySignature,
+} from './webhook.js'
+
+/**
+ * Sender actions accepted by the Send API.
+ * @type {string[]}
+ */
+const SENDER_ACTIONS = ['typing_on', 'typing_off', 'mark_seen']
+
+/**
+ * Messaging types accepted by the Send API.
+ * @type {string[]}
+ */
+const MESSAGING_TYPES = ['RESPONSE', 'UPDATE', 'MESSAGE_TAG']
+
+/**
+ * Message tags allowing sends outside the 24-hour messaging window.
+ * @type {string[]}
+ */
+const MESSAGE_TAGS = [
+  'CONFIRMED_EVENT_UPDATE',
+  'POST_PURCHASE_UPDATE',
+  'ACCOUNT_UPDATE',
+  'HUMAN_AGENT',
+]
+
+/**
+ * Standard messaging window opened by the user's last interaction.
+ * @type {number}
+ */
+const MESSAGING_WINDOW_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Window of the HUMAN_AGENT tag.
+ * @type {number}
+ */
+const HUMAN_AGENT_WINDOW_MS = 7 * 24 * 60 * 60 * 1000
+
+/**
+ * Update types through which a user interacts with the page, opening the
+ * messaging window.
+ * @type {string[]}
+ */
+const INBOUND_UPDATE_TYPES = [
+  'message',
+  'postback',
+  'referral',
+  'optin',
+  'reaction',
+  'message_edit',
+]
+
+/**
+ * Prefix of the session store keys holding each user's last inbound timestamp.
+ * @type {string}
+ */
+const INBOUND_KEY_PREFIX = '__inbound:'
+
+/**
+ * User profile fields fetched by default. `locale` and `timezone` are also
+ * available once the app has the matching advanced permissions.
+ * @type {string[]}
+ */
+const USER_PROFILE_FIELDS = ['first_name', 'last_name', 'profile_pic']
+
+/**
+ * Turn a cache option into a cache: LRU cache options, a ready-made cache
+ * with `get`/`set`, or false for none.
+ * @param {object|false} option - Cache option
+ * @param {object} [defaults] - Default LRU cache options
+ * @returns {{get: Function, set: Function}|null} Cache
+ */
+const toCache = (option, defaults) => {
+  if (!option) return null
+  if (typeof option.get === 'function') return option
+  return new LruCache({ ...defaults, ...option })
+}
+
+/**
+ * PSID of the user an event belongs to: the recipient of echoes, the sender
+ * otherwise. Checkbox plugin opt-ins come before the user has a PSID and are
+ * identified by their `user_ref` instead.
+ * @param {object} event - Messenger webhook event
+ * @returns {string|undefined} PSID (or user_ref), undefined when the event has neither
+ */
+const userId = (event) =>
+  event.message?.is_echo
+    ? event.recipient?.id
+    : (event.sender?.id ?? event.optin?.user_ref)
 
 /**
  * MessengerBot - A framework for building Facebook Messenger bots.
  * Provides routing, middleware, session, and scene support.
+ * Handlers are Composer middlewares: call `next()` to pass the event on.
  */
-class MessengerBot {
+class MessengerBot extends Composer {
   /**
    * Set a global error handler for the bot.
    * @param {(error: Error, ctx: Context) => void|Promise<void>} fn - Error handler function
@@ -19,67 +135,36 @@ class MessengerBot {
     this.errorHandler = fn
   }
 
-  /**
-   * Register a handler that triggers when a message text matches a pattern.
-   * @param {string|RegExp|string[]|RegExp[]} patterns - String or RegExp pattern(s) to match
-   * @param {(ctx: Context) => void|Promise<void>} fn - Callback function
-   */
-  hears(patterns, fn) {
-    const arr = Array.isArray(patterns) ? patterns : [patterns]
-    this.on('message', async (ctx) => {
-      if (ctx.text) {
-        for (const pattern of arr) {
-          if (typeof pattern === 'string' && ctx.text.includes(pattern)) {
-            await fn(ctx)
-            return true
-          } else if (pattern instanceof RegExp && pattern.test(ctx.text)) {
-            await fn(ctx)
-            return true
-          }
-        }
-      }
-      return false
-    })
-  }
-
   /**
    * Listen for photo messages.
-   * @param {(ctx: Context) => void|Promise<void>} fn - Callback when a photo is received
+   * @param {...(ctx: Context, next: Function) => void|Promise<void>} fns - Callback when a photo is received
    */
-  onPhoto(fn) {
-    this.on('message', (ctx) => {
-      if (ctx.images && ctx.images.length > 0) fn(ctx)
-    })
+  onPhoto(...fns) {
+    this.on('image', ...fns)
   }
 
   /**
    * Listen for document/file messages.
-   * @param {(ctx: Context) => void|Promise<void>} fn - Callback when a document is received
+   * @param {...(ctx: Context, next: Function) => void|Promise<void>} fns - Callback when a document is received
    */
-  onDocument(fn) {
-    this.on('message', (ctx) => {
-      if (ctx.files && ctx.files.length > 0) fn(ctx)
-    })
+  onDocument(...fns) {
+    this.on(['file', 'audio', 'video'], ...fns)
   }
 
   /**
    * Listen for location messages.
-   * @param {(ctx: Context) => void|Promise<void>} fn - Callback when a location is received
+   * @param {...(ctx: Context, next: Function) => void|Promise<void>} fns - Callback when a location is received
    */
-  onLocation(fn) {
-    this.on('message', (ctx) => {
-      if (ctx.attachments.some((a) => a.type === 'location')) fn(ctx)
-    })
+  onLocation(...fns) {
+    this.on('location', ...fns)
   }
 
   /**
    * Listen for contact messages.
-   * @param {(ctx: Context) => void|Promise<void>} fn - Callback when a contact is received
+   * @param {...(ctx: Context, next: Function) => void|Promise<void>} fns - Callback when a contact is received
    */
-  onContact(fn) {
-    this.on('message', (ctx) => {
-      if (ctx.attachments.some((a) => a.type === 'contact')) fn(ctx)
-    })
+  onContact(...fns) {
+    this.on('contact', ...fns)
   }
 
   /**
@@ -87,16 +172,18 @@ class MessengerBot {
    * @param {(ctx: Context) => void} fn - Function to extend context
    */
   extendContext(fn) {
-    this.on('message', (ctx) => fn(ctx))
+    this.use(async (ctx, next) => {
+      await fn(ctx)
+      return next()
+    })
   }
 
   /**
    * Handle all update events (messages + postbacks).
-   * @param {(ctx: Context) => void|Promise<void>} fn - Callback for any update
+   * @param {...(ctx: Context, next: Function) => void|Promise<void>} fns - Callback for any update
    */
-  onUpdate(fn) {
-    this.on('message', fn)
-    this.on('postback', fn)
+  onUpdate(...fns) {
+    this.on(['message', 'postback'], ...fns)
   }
 
   /**
@@ -106,8 +193,23 @@ class MessengerBot {
    * @param {string} options.verifyToken - Webhook Verify Token
    * @param {string} options.appSecret - Facebook App Secret
    * @param {string} [options.apiVersion='v18.0'] - Graph API version
-   * @param {object} [options.sessionStore] - Custom session store (defaults to in-memory)
+   * @param {import('./sessionStore.js').SessionStore|null} [options.sessionStore] - Session store shared with session() and SceneManager (defaults to in-memory, null disables sessions)
+   * @param {(ctx: Context) => string|Promise<string>} [options.getSessionKey] - Computes the session key (defaults to the sender's PSID)
+   * @param {number} [options.sessionTtl] - Session time to live in milliseconds, sliding on every update (defaults to the store's)
+   * @param {number} [options.maxSessionSize] - Warn when a serialized session grows beyond this many bytes
    * @param {(error: Error, ctx: Context) => void|Promise<void>} [options.errorHandler] - Global error handler
+   * @param {number} [options.maxBodySize=102400] - Largest webhook request body accepted, in bytes (larger ones are answered with 413)
+   * @param {boolean} [options.verifySignature=true] - Verify X-Hub-Signature-256 on incoming webhooks (disable only for local testing)
+   * @param {(info: {reason: string, signature?: string, headers: object}) => void} [options.onInvalidSignature] - Called when a webhook request is rejected
+   * @param {string} [options.graphApiUrl='https://graph.facebook.com'] - Graph API base URL (point it at a mock server in tests)
+   * @param {number} [options.maxRetries=3] - Retries for transient and rate-limit errors
+   * @param {GraphApiClient} [options.client] - Custom Graph API client (overrides graphApiUrl and maxRetries)
+   * @param {number} [options.maxSendsPerSecond=20] - Page-wide cap on Send API requests per second
+   * @param {object} [options.profile] - Messenger Profile settings applied by `start()` (see `MessengerProfile#apply`)
+   * @param {{max?: number, ttl?: number}|{get: Function, set: Function}|false} [options.attachmentCache=false] - Cache of attachment IDs by URL, so media sent by URL is uploaded once and reused: LRU cache options, a cache with (sync or async) `get`/`set`, or false to send URLs as is
+   * @param {'warn'|'refuse'|false} [options.messagingWindow='warn'] - What to do before sending outside the 24-hour window without an allowed tag: log a warning, throw, or nothing. The last inbound time of each user is kept in the session store
+   * @param {boolean} [options.handleEchoes=false] - Dispatch echoes of the page's own messages as `echo` updates (dropped by default so the bot never replies to itself)
+   * @param {{max?: number, ttl?: number}|{get: Function, set: Function}|false} [options.userProfileCache] - Options of the user profile LRU cache (default: 1000 users for 24 hours), a cache with (sync or async) `get`/`set`, or false to disable caching
    */
   constructor({
     accessToken,
@@ -115,8 +217,24 @@ class MessengerBot {
     appSecret,
     apiVersion = 'v18.0',
     sessionStore,
+    getSessionKey = defaultSessionKey,
+    sessionTtl,
+    maxSessionSize,
     errorHandler = null,
+    maxBodySize = MAX_BODY_BYTES,
+    verifySignature: checkSignatures = true,
+    onInvalidSignature = null,
+    graphApiUrl,
+    maxRetries,
+    client,
+    maxSendsPerSecond = 20,
+    profile = null,
+    attachmentCache = false,
+    messagingWindow = 'warn',
+    handleEchoes = false,
+    userProfileCache = {},
   }) {
+    super()
     if (!accessToken || !verifyToken || !appSecret) {
       throw new Error(
         'MessengerBot requires accessToken, verifyToken, and appSecret'
@@ -126,21 +244,47 @@ class MessengerBot {
     this.verifyToken = verifyToken
     this.appSecret = appSecret
     this.apiVersion = apiVersion
+    this.maxBodySize = maxBodySize
+    this.verifySignature = checkSignatures
+    this.handleEchoes = handleEchoes
+    this.messagingWindow = messagingWindow
+    this.onInvalidSignature = onInvalidSignature
+    this.client =
+      client ||
+      new GraphApiClient({
+        accessToken,
+        apiVersion,
+        baseUrl: graphApiUrl,
+        maxRetries,
+      })
+    this.sendQueue = new SendQueue({ maxPerSecond: maxSendsPerSecond })
+    this.profile = new MessengerProfile(this.client)
+    this.profileConfig = profile
+    this.userProfileCache = toCache(userProfileCache, {
+      ttl: 24 * 60 * 60 * 1000,
+    })
+    this.pendingProfiles = new Map()
+    this.attachmentCache = toCache(attachmentCache)
+    this.pendingUploads = new Map()
+    this.server = null
     this.app = express()
-    this.app.use(express.json())
-    this.handlers = { message: [], postback: [] }
-    this.middlewares = []
-    this.actions = {}
-    this.sessionStore = sessionStore || defaultSessionStore
+    this.senderQueues = new Map()
+    this.sessionStore =
+      sessionStore === undefined ? new MemorySessionStore() : sessionStore
+    this.getSessionKey = getSessionKey
+    this.sessionMiddleware = this.sessionStore
+      ? session({
+          store: this.sessionStore,
+          getSessionKey,
+          ttl: sessionTtl,
+          maxSize: maxSessionSize,
+        })
+      : (ctx, next) => next()
     this.errorHandler = errorHandler
-  }
-
-  /**
-   * Register a middleware function.
-   * @param {(ctx: Context, next: Function) => void|Promise<void>} fn - Middleware function
-   */
-  use(fn) {
-    this.middlewares.push(fn)
+    // The webhook reads its raw body itself: the signature is computed over the
+    // exact bytes sent. Other routes added to the app get JSON bodies as before.
+    this.app.use(this.webhookCallback('/webhook'))
+    this.app.use(express.json({ limit: maxBodySize }))
   }
 
   /**
@@ -152,172 +296,541 @@ class MessengerBot {
   }
 
   /**
-   * Register an event handler.
-   * @param {'message'|'postback'} event - Event type
-   * @param {(ctx: Context) => void|Promise<void>} fn - Callback function
+   * Call the Send API with a raw request body.
+   * @param {object} body - Send API body (recipient plus message or sender_action)
+   * @returns {Promise<{recipient_id: string, message_id?: string}>} - API response
+   * @throws {MessengerApiError} When the Send API rejects the request
+   */
+  async callSendApi(body) {
+    return this.client.post('/me/messages', body)
+  }
+
+  /**
+   * Send a message to a user.
+   * @param {string} recipientId - Messenger PSID
+   * Messages go through the send queue, so they reach each user in order.
+   * @param {string|object} message - Text string or Messenger payload
+   * @param {object} [options]
+   * @param {number} [options.delay] - Milliseconds to wait after the previous message to this user
+   * @param {'RESPONSE'|'UPDATE'|'MESSAGE_TAG'} [options.messaging_type] - Messaging type (default: MESSAGE_TAG with a tag, RESPONSE otherwise)
+   * @param {'CONFIRMED_EVENT_UPDATE'|'POST_PURCHASE_UPDATE'|'ACCOUNT_UPDATE'|'HUMAN_AGENT'} [options.tag] - Message tag for sends outside the 24-hour window
+   * @returns {Promise<{recipient_id: string, message_id: string}>} - API response
+   * @throws {MessengerApiError} When the Send API rejects the message
+   * @throws {Error} When the message is sent outside the messaging window and `messagingWindow` is 'refuse'
+   *
+   * @example
+   * await bot.sendMessage(psid, 'Your order has shipped!', { tag: 'POST_PURCHASE_UPDATE' })
    */
-  on(event, fn) {
-    if (this.handlers[event]) {
-      this.handlers[event].push(fn)
+  async sendMessage(recipientId, message, { delay, messaging_type, tag } = {}) {
+    const payload = typeof message === 'string' ? { text: message } : message
+    const messagingType = messaging_type || (tag ? 'MESSAGE_TAG' : 'RESPONSE')
+    if (!MESSAGING_TYPES.includes(messagingType)) {
+      throw new Error(
+        `Unknown messaging type: ${messagingType} (expected ${MESSAGING_TYPES.join(', ')})`
+      )
     }
+    if (messagingType === 'MESSAGE_TAG' && !MESSAGE_TAGS.includes(tag)) {
+      throw new Error(
+        `Unknown message tag: ${tag} (expected ${MESSAGE_TAGS.join(', ')})`
+      )
+    }
+
+    return this.sendQueue.enqueue(
+      recipientId,
+      // Uploads happen in the queue so later messages can't overtake this one
+      async () => {
+        await this.checkMessagingWindow(recipientId, messagingType, tag)
+        return this.callSendApi({
+          recipient: { id: recipientId },
+          messaging_type: messagingType,
+          ...(messagingType === 'MESSAGE_TAG' && { tag }),
+          message: await this.resolveAttachment(payload),
+        })
+      },
+      { delay }
+    )
   }
 
   /**
-   * Register a command handler (exact text or regex).
-   * @param {string|RegExp|string[]|RegExp[]} cmds - Commands or regex patterns
-   * @param {(ctx: Context) => void|Promise<void>} fn - Callback when matched
+   * Record that a user interacted with the page, opening the messaging window.
+   * @param {string} psid - Messenger PSID
+   * @param {number} [timestamp=Date.now()] - Time of the interaction
+   * @returns {Promise<void>}
    */
-  command(cmds, fn) {
-    const arr = Array.isArray(cmds) ? cmds : [cmds]
-    this.on('message', async (ctx) => {
-      if (ctx.text) {
-        for (const cmd of arr) {
-          if (typeof cmd === 'string' && ctx.text === cmd) {
-            await fn(ctx)
-            return true
-          } else if (cmd instanceof RegExp && cmd.test(ctx.text)) {
-            await fn(ctx)
-            return true
-          }
-        }
-      }
-      return false
-    })
+  async recordInbound(psid, timestamp = Date.now()) {
+    if (!this.sessionStore) return
+    // Kept as long as the HUMAN_AGENT tag may use it, then dropped by the store
+    await this.sessionStore.set(
+      `${INBOUND_KEY_PREFIX}${psid}`,
+      { at: timestamp },
+      HUMAN_AGENT_WINDOW_MS
+    )
   }
 
   /**
-   * Register a postback action handler.
-   * @param {string|string[]} payloads - Postback payload(s)
-   * @param {(ctx: Context) => void|Promise<void>} fn - Callback when triggered
+   * Get the time of a user's last interaction with the page.
+   * @param {string} psid - Messenger PSID
+   * @returns {Promise<number|undefined>} Timestamp, or undefined when unknown (or older than 7 days)
    */
-  action(payloads, fn) {
-    const arr = Array.isArray(payloads) ? payloads : [payloads]
-    for (const payload of arr) {
-      this.actions[payload] = fn
+  async getLastInbound(psid) {
+    // Reading must not slide the record's expiry: it only moves on new interactions
+    const record = await this.sessionStore?.get(
+      `${INBOUND_KEY_PREFIX}${psid}`,
+      { touch: false }
+    )
+    // Stores that ignore `touch` may keep records alive past their TTL
+    if (!record || Date.now() - record.at > HUMAN_AGENT_WINDOW_MS) {
+      return undefined
     }
+    return record.at
   }
 
   /**
-   * Run all registered middlewares for a context.
-   * @param {Context} ctx - Context object
+   * Internal: warn about (or refuse) a send outside the messaging window.
+   * Tagged messages are allowed any time, except HUMAN_AGENT which is limited
+   * to 7 days after the user's last interaction.
+   * @param {string} psid - Messenger PSID
+   * @param {string} messagingType - Messaging type of the send
+   * @param {string} [tag] - Message tag
+   * @returns {Promise<void>}
+   * @throws {Error} When `messagingWindow` is 'refuse' and the send is outside the window
    */
-  async runMiddlewares(ctx) {
-    let index = -1
-    const runner = async (i) => {
-      if (i <= index) return
-      index = i
-      const fn = this.middlewares[i]
-      if (fn) {
-        try {
-          await fn(ctx, () => runner(i + 1))
-        } catch (err) {
-          if (this.errorHandler) await this.errorHandler(err, ctx)
-          else throw err
-        }
-      }
+  async checkMessagingWindow(psid, messagingType, tag) {
+    if (!this.messagingWindow || !this.sessionStore) return
+    if (messagingType === 'MESSAGE_TAG' && tag !== 'HUMAN_AGENT') return
+
+    const window =
+      tag === 'HUMAN_AGENT' ? HUMAN_AGENT_WINDOW_MS : MESSAGING_WINDOW_MS
+    const lastInbound = await this.getLastInbound(psid)
+    if (lastInbound !== undefined && Date.now() - lastInbound <= window) return
+
+    const message = `Sending to ${psid} outside the ${
+      tag === 'HUMAN_AGENT' ? '7-day HUMAN_AGENT' : '24-hour'
+    } messaging window${
+      lastInbound === undefined
+        ? ' (no recent interaction recorded)'
+        : ` (last interaction ${new Date(lastInbound).toISOString()})`
+    }; use an allowed message tag`
+    if (this.messagingWindow === 'refuse') throw new Error(message)
+    console.warn(message)
+  }
+
+  /**
+   * Upload an attachment once and get an ID to send it again and again.
+   * URLs are fetched by Messenger; local files (`file://` URLs or `{ path }`),
+   * Buffers and streams are sent as multipart uploads. With `attachmentCache`, URLs already uploaded are not
+   * uploaded again.
+   * @param {'image'|'audio'|'video'|'file'} type - Attachment type
+   * @param {string|URL|{path: string}|Buffer|import('stream').Readable} source - URL, `file://` URL, `{ path }`, Buffer or stream
+   * @param {object} [options]
+   * @param {string} [options.filename] - File name of a Buffer or stream upload
+   * @param {string} [options.contentType] - Content type (guessed from the file name by default)
+   * @param {number} [options.maxBytes=26214400] - Size limit of local files (default: Messenger's 25 MB)
+   * @returns {Promise<string>} Reusable attachment ID
+   * @throws {MessengerApiError} When the Attachment Upload API rejects the file
+   * @throws {RangeError} When a local file exceeds `maxBytes`
+   *
+   * @example
+   * const bannerId = await bot.uploadAttachment('image', { path: './banner.png' })
+   * await ctx.replyWithPhoto(bannerId)
+   */
+  async uploadAttachment(type, source, options) {
+    if (!UPLOAD_TYPES.includes(type)) {
+      throw new Error(
+        `Unknown attachment type: ${type} (expected ${UPLOAD_TYPES.join(', ')})`
+      )
+    }
+    const kind = sourceKind(source)
+    if (kind === 'attachment_id') return source
+    if (kind === 'file') {
+      const form = await createUploadForm(type, source, options)
+      const data = await this.client.post('/me/message_attachments', form)
+      return data.attachment_id
+    }
+
+    const url = String(source)
+    const key = `${type}:${url}`
+    const cached = await this.attachmentCache?.get(key)
+    if (cached) return cached
+    // Concurrent sends of the same URL share one upload
+    if (!this.pendingUploads.has(key)) {
+      const upload = this.client
+        .post('/me/message_attachments', {
+          message: {
+            attachment: { type, payload: { url, is_reusable: true } },
+          },
+        })
+        .then(async (data) => {
+          await this.attachmentCache?.set(key, data.attachment_id)
+          return data.attachment_id
+        })
+        .finally(() => this.pendingUploads.delete(key))
+      this.pendingUploads.set(key, upload)
     }
-    await runner(0)
+    return this.pendingUploads.get(key)
   }
 
   /**
-   * Send a message to a user.
+   * Internal: upload the local file of an attachment message (and, with
+   * `attachmentCache`, its URL) and send the attachment ID instead.
+   * @param {object} message - Messenger message payload
+   * @returns {Promise<object>} Message ready for the Send API
+   */
+  async resolveAttachment(message) {
+    const { type, payload } = message.attachment || {}
+    if (!UPLOAD_TYPES.includes(type) || !payload) return message
+    let source
+    if (payload.file !== undefined) source = payload.file
+    else if (payload.url && this.attachmentCache) source = payload.url
+    else return message
+
+    const attachmentId = await this.uploadAttachment(type, source)
+    return {
+      ...message,
+      attachment: { type, payload: { attachment_id: attachmentId } },
+    }
+  }
+
+  /**
+   * Send a sender action (typing indicator or read receipt) to a user.
    * @param {string} recipientId - Messenger PSID
-   * @param {string|object} message - Text string or Messenger payload
-   * @returns {Promise<object>} - API response
+   * @param {'typing_on'|'typing_off'|'mark_seen'} action - Sender action
+   * @returns {Promise<{recipient_id: string}>} - API response
+   * @throws {MessengerApiError} When the Send API rejects the action
    */
-  async sendMessage(recipientId, message) {
-    const payload = typeof message === 'string' ? { text: message } : message
-    try {
-      return await axios.post(
-        `https://graph.facebook.com/${this.apiVersion}/me/messages?access_token=${this.accessToken}`,
-        {
-          recipient: { id: recipientId },
-          message: payload,
-        }
+  async sendAction(recipientId, action) {
+    if (!SENDER_ACTIONS.includes(action)) {
+      throw new Error(
+        `Unknown sender action: ${action} (expected ${SENDER_ACTIONS.join(', ')})`
       )
-    } catch (err) {
-      console.error('Error sending message:', err.response?.data || err.message)
     }
+    return this.sendQueue.enqueue(recipientId, () =>
+      this.callSendApi({
+        recipient: { id: recipientId },
+        sender_action: action,
+      })
+    )
   }
 
   /**
-   * Start the Messenger webhook server.
-   * @param {number} [port=3000] - Port to listen on
+   * Fetch a user's public profile from the Graph API.
+   * Profiles are cached per user; only fields not cached yet are requested,
+   * and concurrent lookups for the same fields share one request.
+   * @param {string} psid - Messenger PSID
+   * @param {string[]} [fields] - Profile fields (default: first_name, last_name, profile_pic)
+   * @returns {Promise<{id: string, first_name?: string, last_name?: string, profile_pic?: string, locale?: string, timezone?: number}>} Profile (fields the user doesn't share are missing)
+   * @throws {MessengerApiError} When the Graph API rejects the request
    */
-  start(port = 3000) {
-    // Webhook verification endpoint
-    this.app.get('/webhook', (req, res) => {
-      if (
-        req.query['hub.mode'] === 'subscribe' &&
-        req.query['hub.verify_token'] === this.verifyToken
-      ) {
-        res.send(req.query['hub.challenge'])
-      } else {
-        res.sendStatus(403)
-      }
-    })
+  async getUserProfile(psid, fields = USER_PROFILE_FIELDS) {
+    const cached = await this.userProfileCache?.get(psid)
+    const missing = fields.filter((f) => !cached?.fields.includes(f))
+    if (missing.length === 0) return { ...cached.profile }
 
-    // Webhook event handler
-    this.app.post('/webhook', async (req, res) => {
-      const body = req.body
-      if (body.object === 'page') {
-        for (const entry of body.entry) {
-          const event = entry.messaging[0]
-          if (!event || !event.sender || !event.sender.id) {
-            continue
+    const key = `${psid}:${missing.join(',')}`
+    if (!this.pendingProfiles.has(key)) {
+      const request = this.client
+        .get(`/${psid}`, { fields: missing.join(',') })
+        .then(async (data) => {
+          // Merge with whatever was cached meanwhile
+          const current = await this.userProfileCache?.get(psid)
+          const entry = {
+            fields: [...new Set([...(current?.fields || []), ...missing])],
+            profile: { ...current?.profile, ...data },
           }
-          const senderId = event.sender.id
-          const ctx = new Context(this, event, senderId)
+          await this.userProfileCache?.set(psid, entry)
+          return entry.profile
+        })
+        .finally(() => this.pendingProfiles.delete(key))
+      this.pendingProfiles.set(key, request)
+    }
+    const profile = await this.pendingProfiles.get(key)
+    return { ...cached?.profile, ...profile }
+  }
 
-          // Load session
-          if (this.sessionStore) {
-            ctx.session = (await this.sessionStore.get(senderId)) || {}
-          }
+  /**
+   * Process every messaging and standby event of a webhook payload.
+   * Events are handled in delivery order; events from the same sender run one
+   * after another while different senders run concurrently. Echoes are
+   * dropped unless `handleEchoes` is set.
+   * @param {object} body - Parsed webhook payload (`object: 'page'`)
+   * @returns {Promise<void>} Resolves when all events have been handled
+   */
+  async processEvents(body) {
+    const tasks = []
+    for (const entry of body.entry || []) {
+      const channels = [
+        [entry.messaging, false],
+        [entry.standby, true],
+      ]
+      for (const [events, standby] of channels) {
+        for (const event of events || []) {
+          if (!event || !userId(event)) continue
+          if (event.message?.is_echo && !this.handleEchoes) continue
+          tasks.push(this.enqueueEvent(event, { standby }))
+        }
+      }
+    }
+    await Promise.all(tasks)
+  }
 
-          await this.runMiddlewares(ctx)
-          let handled = false
-
-          // Handle messages
-          if (event.message && event.message.text) {
-            for (const fn of this.handlers.message) {
-              if (!handled) {
-                const result = await fn(ctx)
-                if (result === true) handled = true
-              }
-            }
-          }
+  /**
+   * Queue an event behind any pending events of the same user.
+   * @param {object} event - Messenger webhook event
+   * @param {object} [options]
+   * @param {boolean} [options.standby=false] - Whether the event came from the standby channel
+   * @returns {Promise<void>} Resolves when the event has been handled
+   */
+  enqueueEvent(event, options) {
+    const senderId = userId(event)
+    const previous = this.senderQueues.get(senderId) || Promise.resolve()
+    const current = previous.then(() =>
+      this.handleEvent(event, options).catch((err) => {
+        console.error('Error handling event:', err.message)
+      })
+    )
+    this.senderQueues.set(senderId, current)
+    // Drop the queue once it drains so idle senders don't accumulate
+    current.then(() => {
+      if (this.senderQueues.get(senderId) === current) {
+        this.senderQueues.delete(senderId)
+      }
+    })
+    return current
+  }
 
-          // Handle postbacks
-          if (event.postback) {
-            const payload = event.postback.payload
-            if (this.actions[payload]) {
-              const result = await this.actions[payload](ctx)
-              if (result === true) handled = true
-            }
-            for (const fn of this.handlers.postback) {
-              if (!handled) {
-                const result = await fn(ctx)
-                if (result === true) handled = true
-              }
-            }
-          }
+  /**
+   * Handle a single messaging event: load the session, run middlewares and
+   * handlers, then save the session.
+   * @param {object} event - Messenger webhook event
+   * @param {object} [options]
+   * @param {boolean} [options.standby=false] - Whether the event came from the standby channel
+   * @returns {Promise<void>}
+   */
+  async handleEvent(event, options) {
+    const ctx = new Context(this, event, userId(event), options)
 
-          // Save session
-          if (this.sessionStore) {
-            await this.sessionStore.set(senderId, ctx.session)
-          }
+    // Load the session, run middlewares and handlers, then save the session
+    await this.sessionMiddleware(ctx, async () => {
+      try {
+        if (INBOUND_UPDATE_TYPES.includes(ctx.updateType)) {
+          await this.recordInbound(ctx.chat.id, event.timestamp)
         }
-        res.sendStatus(200)
-      } else {
-        res.sendStatus(404)
+        await this.middleware()(ctx, () => Promise.resolve())
+      } catch (err) {
+        if (this.errorHandler) await this.errorHandler(err, ctx)
+        else throw err
       }
     })
+  }
+
+  /**
+   * Check the X-Hub-Signature-256 header of a webhook request against the app secret.
+   * Reports rejected requests to `onInvalidSignature` when set.
+   * @param {Buffer|string} rawBody - Raw request body
+   * @param {object} headers - Request headers (lower-cased names)
+   * @returns {boolean} Whether the request may be processed
+   */
+  isValidSignature(rawBody, headers = {}) {
+    if (!this.verifySignature) return true
+    const signature = headers[SIGNATURE_HEADER]
+    const { valid, reason } = verifySignature(
+      rawBody,
+      signature,
+      this.appSecret
+    )
+    if (!valid && this.onInvalidSignature) {
+      try {
+        this.onInvalidSignature({ reason, signature, headers })
+      } catch (err) {
+        console.error('Error in onInvalidSignature hook:', err.message)
+      }
+    }
+    return valid
+  }
+
+  /**
+   * Answer a webhook verification request (GET with `hub.*` query params).
+   * @param {object} query - Parsed query string
+   * @returns {string|null} The challenge to echo back, or null if verification fails
+   */
+  verifyWebhook(query = {}) {
+    if (
+      query['hub.mode'] === 'subscribe' &&
+      query['hub.verify_token'] === this.verifyToken
+    ) {
+      return query['hub.challenge'] ?? ''
+    }
+    return null
+  }
 
-    this.app.listen(port, () => {
+  /**
+   * Internal: verify and parse a webhook payload, then start processing it.
+   * @param {Buffer|string|object} body - Raw body (or an already parsed payload)
+   * @param {object} headers - Request headers
+   * @returns {{status: number, done: Promise<void>}} Status to answer with and the processing promise
+   */
+  _acceptUpdate(body, headers = {}) {
+    const lowerHeaders = {}
+    for (const [name, value] of Object.entries(headers)) {
+      lowerHeaders[name.toLowerCase()] = value
+    }
+
+    const isRaw = typeof body === 'string' || Buffer.isBuffer(body)
+    if (isRaw && Buffer.byteLength(body) > this.maxBodySize) {
+      return { status: 413, done: Promise.resolve() }
+    }
+    // A parsed object can't be verified: the signature covers the exact bytes sent
+    if (!this.isValidSignature(isRaw ? body : undefined, lowerHeaders)) {
+      return { status: 403, done: Promise.resolve() }
+    }
+
+    let update = body
+    if (isRaw) {
+      try {
+        update = JSON.parse(body.toString('utf8'))
+      } catch {
+        return { status: 400, done: Promise.resolve() }
+      }
+    }
+    if (!update || update.object !== 'page') {
+      return { status: 404, done: Promise.resolve() }
+    }
+    return { status: 200, done: this.processEvents(update) }
+  }
+
+  /**
+   * Process a webhook payload outside of Express (serverless functions, tests, ...).
+   * Signature checks apply, so pass the raw body whenever they are enabled.
+   * @param {Buffer|string|object} body - Raw request body, or a parsed payload when signatures are disabled
+   * @param {object} [headers={}] - Request headers (must include X-Hub-Signature-256)
+   * @returns {Promise<number>} HTTP status to answer with, resolved once all events are handled
+   *
+   * @example
+   * export async function handler(event) {
+   *   const statusCode = await bot.handleUpdate(event.body, event.headers)
+   *   return { statusCode }
+   * }
+   */
+  async handleUpdate(body, headers = {}) {
+    const { status, done } = this._acceptUpdate(body, headers)
+    await done
+    return status
+  }
+
+  /**
+   * Create an Express/Connect-compatible request handler for the webhook.
+   * Answers verification requests (GET) and events (POST) on the given path and
+   * calls `next()` for everything else. Mount it before any JSON body parser, or
+   * make sure the parser stores the raw body on `req.rawBody`.
+   * The path is matched against the full request path, or the path relative
+   * to where the handler (or `bot.app`) is mounted.
+   * @param {string} [path='/webhook'] - Webhook path
+   * @returns {(req: object, res: object, next?: Function) => Promise<void>} Request handler
+   *
+   * @example
+   * app.use(bot.webhookCallback('/webhook'))
+   * app.use('/hooks', bot.webhookCallback('/hooks/messenger'))
+   */
+  webhookCallback(path = '/webhook') {
+    return async (req, res, next) => {
+      const url = new URL(req.originalUrl || req.url, 'http://localhost')
+      const matches = url.pathname === path || req.path === path
+      if (!matches || !['GET', 'POST'].includes(req.method)) {
+        return next ? next() : sendResponse(res, 404)
+      }
+
+      if (req.method === 'GET') {
+        const challenge = this.verifyWebhook(
+          req.query || Object.fromEntries(url.searchParams)
+        )
+        return challenge === null
+          ? sendResponse(res, 403)
+          : sendResponse(res, 200, challenge)
+      }
+
+      let body = req.rawBody
+      if (body === undefined) {
+        try {
+          body =
+            req.body !== undefined
+              ? req.body
+              : await readRawBody(req, { limit: this.maxBodySize })
+        } catch (err) {
+          return sendResponse(res, err.status || 400)
+        }
+      }
+      const { status, done } = this._acceptUpdate(body, req.headers)
+
+      // Acknowledge right away; Facebook retries deliveries that answer slowly
+      sendResponse(res, status)
+      done.catch((err) => {
+        console.error('Error processing webhook:', err.message)
+      })
+    }
+  }
+
+  /**
+   * Start the Messenger webhook server.
+   * @param {number} [port=3000] - Port to listen on
+   * @returns {import('http').Server} The listening HTTP server
+   */
+  start(port = 3000) {
+    this.server = this.app.listen(port, () => {
       console.log(`🚀 MessengerJS running on port ${port}`)
     })
+    if (this.profileConfig) {
+      this.profile.apply(this.profileConfig).catch((err) => {
+        console.error('Failed to apply Messenger profile:', err)
+      })
+    }
+    return this.server
+  }
+
+  /**
+   * Stop the bot: close the webhook server (if started with `start()`), wait
+   * for events being handled, then flush queued messages and close the session
+   * store (writing pending changes and stopping its expiry sweeper).
+   * @returns {Promise<void>}
+   *
+   * @example
+   * process.on('SIGTERM', () => bot.stop().then(() => process.exit(0)))
+   */
+  async stop() {
+    if (this.server) {
+      await new Promise((resolve) => this.server.close(() => resolve()))
+      this.server = null
+    }
+    await Promise.all(this.senderQueues.values())
+    await this.sendQueue.close()
+    if (typeof this.sessionStore?.close === 'function') {
+      await this.sessionStore.close()
+    } else if (typeof this.sessionStore?.flush === 'function') {
+      await this.sessionStore.flush()
+    }
   }
 }
 
 export default MessengerBot
-export { Markup, Scene, SceneManager, session }
+export {
+  Composer,
+  FileSessionStore,
+  FormScene,
+  GraphApiClient,
+  LruCache,
+  Markup,
+  MemorySessionStore,
+  MessengerApiError,
+  MessengerProfile,
+  Router,
+  Scene,
+  SceneManager,
+  SqliteSessionStore,
+  decodePayload,
+  defaultSessionKey,
+  downloadAttachment,
+  encodePayload,
+  markSeen,
+  saveAttachment,
+  session,
+  userProfile,
+}
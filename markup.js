@@ -1,3 +1,75 @@
+import { attachmentPayload } from './attachments.js'
+import { encodePayload } from './payload.js'
+
+/**
+ * Messenger Platform limits enforced by the template builders.
+ * @type {Object<string, number>}
+ */
+const LIMITS = {
+  genericElements: 10,
+  productElements: 10,
+  receiptElements: 100,
+  elementButtons: 3,
+  templateButtons: 3,
+  quickReplies: 13,
+  titleLength: 80,
+  subtitleLength: 80,
+  menuItems: 20,
+  nestedMenuItems: 5,
+  iceBreakers: 4,
+  greetingLength: 160,
+}
+
+/**
+ * Throw if a required template field is missing.
+ * @param {*} value - Field value
+ * @param {string} name - Field name used in the error message
+ */
+function assertRequired(value, name) {
+  if (value === undefined || value === null || value === '') {
+    throw new TypeError(`${name} is required`)
+  }
+}
+
+/**
+ * Throw if a string field exceeds its Messenger limit.
+ * @param {string|undefined} value - Field value
+ * @param {number} max - Maximum length
+ * @param {string} name - Field name used in the error message
+ */
+function assertMaxLength(value, max, name) {
+  if (typeof value === 'string' && value.length > max) {
+    throw new RangeError(
+      `${name} is ${value.length} characters long, Messenger allows at most ${max}`
+    )
+  }
+}
+
+/**
+ * Throw if a list holds fewer than `min` or more than `max` items.
+ * @param {Array|undefined} list - List to check
+ * @param {number} min - Minimum count
+ * @param {number} max - Maximum count
+ * @param {string} name - Field name used in the error message
+ */
+function assertCount(list, min, max, name) {
+  const count = Array.isArray(list) ? list.length : 0
+  if (count < min || count > max) {
+    throw new RangeError(
+      `${name} must contain ${min} to ${max} items, got ${count}`
+    )
+  }
+}
+
+/**
+ * Wrap a template payload in a Messenger attachment.
+ * @param {object} payload - Template payload (including template_type)
+ * @returns {object} Messenger template attachment
+ */
+function template(payload) {
+  return { attachment: { type: 'template', payload } }
+}
+
 /**
  * Markup - Utility class for building Messenger keyboards, buttons, and reply attachments.
  * Inspired by Telegraf-style Markup but adapted for Messenger Platform.
@@ -7,25 +79,123 @@ class Markup {
    * Create a web URL button.
    * @param {string} text - Button title
    * @param {string} url - Target URL
+   * @param {object} [options] - Webview options
+   * @param {'compact'|'tall'|'full'} [options.webview_height_ratio] - Webview height
+   * @param {boolean} [options.messenger_extensions] - Enable Messenger Extensions in the webview
+   * @param {string} [options.fallback_url] - URL for clients without Messenger Extensions support
+   * @param {'hide'|'show'} [options.webview_share_button] - Show or hide the share button
    * @returns {object} Messenger web_url button object
    */
-  static urlButton(text, url) {
-    return { type: 'web_url', title: text, url }
+  static urlButton(text, url, options = {}) {
+    return { type: 'web_url', title: text, url, ...options }
+  }
+
+  /**
+   * Create a call button that dials a phone number.
+   * @param {string} text - Button title
+   * @param {string} phoneNumber - Phone number in international format (e.g. +15105551234)
+   * @returns {object} Messenger phone_number button object
+   */
+  static callButton(text, phoneNumber) {
+    if (!/^\+\d+$/.test(phoneNumber)) {
+      throw new TypeError(
+        'Phone number must start with + and contain only digits'
+      )
+    }
+    return { type: 'phone_number', title: text, payload: phoneNumber }
+  }
+
+  /**
+   * Create a button that opens an Instant Game.
+   * @param {string} text - Button title
+   * @param {object} [options]
+   * @param {string|object} [options.payload] - Payload passed to the game
+   * @param {{player_id?: string, context_id?: string}} [options.game_metadata] - Player or context to play with
+   * @returns {object} Messenger game_play button object
+   */
+  static gamePlayButton(text, { payload, game_metadata } = {}) {
+    const btn = { type: 'game_play', title: text }
+    if (payload !== undefined) btn.payload = encodePayload(payload)
+    if (game_metadata) btn.game_metadata = game_metadata
+    return btn
+  }
+
+  /**
+   * Create a log in button for account linking.
+   * @param {string} url - Authentication URL of your service
+   * @returns {object} Messenger account_link button object
+   */
+  static loginButton(url) {
+    return { type: 'account_link', url }
+  }
+
+  /**
+   * Create a log out button for account unlinking.
+   * @returns {object} Messenger account_unlink button object
+   */
+  static logoutButton() {
+    return { type: 'account_unlink' }
+  }
+
+  /**
+   * Create a text quick reply, optionally with an icon.
+   * @param {string} text - Quick reply title
+   * @param {string|object} [payload] - Payload (defaults to the title)
+   * @param {object} [options]
+   * @param {string} [options.image_url] - Icon shown next to the title
+   * @returns {object} Messenger quick reply object
+   */
+  static quickReply(text, payload, { image_url } = {}) {
+    const reply = {
+      content_type: 'text',
+      title: text,
+      payload: encodePayload(payload === undefined ? text : payload),
+    }
+    if (image_url) reply.image_url = image_url
+    return reply
+  }
+
+  /**
+   * Create a quick reply that offers the user's phone number.
+   * @returns {object} Messenger user_phone_number quick reply
+   */
+  static phoneNumberReply() {
+    return { content_type: 'user_phone_number' }
+  }
+
+  /**
+   * Create a quick reply that offers the user's email address.
+   * @returns {object} Messenger user_email quick reply
+   */
+  static emailReply() {
+    return { content_type: 'user_email' }
+  }
+
+  /**
+   * Convert a quick reply built with `button()`, `quickReply()`, a plain string
+   * or a `{ text, payload, image_url }` object into a Messenger quick reply.
+   * @param {object|string} btn - Quick reply definition
+   * @returns {object} Messenger quick reply object
+   */
+  static normalizeQuickReply(btn) {
+    if (btn.content_type) return btn
+    return Markup.quickReply(btn.text || btn, btn.payload || btn.text || btn, {
+      image_url: btn.image_url,
+    })
   }
 
   /**
    * Create a Messenger quick reply keyboard.
    * Telegraf-style: array of rows → flattened into quick_replies.
-   * @param {Array<Array<object|string>>} buttonRows - Rows of buttons (text or { text, payload })
+   * @param {Array<Array<object|string>>} buttonRows - Rows of buttons (text, { text, payload, image_url } or `quickReply()`/`phoneNumberReply()`/`emailReply()`), up to 13 in total
    * @param {string} text - Message text
    * @returns {object} Messenger quick_replies object
    */
   static keyboard(buttonRows, text) {
-    const flatButtons = buttonRows.flat().map((btn) => ({
-      content_type: 'text',
-      title: btn.text || btn,
-      payload: btn.payload || btn.text || btn,
-    }))
+    const flatButtons = buttonRows
+      .flat()
+      .map((btn) => Markup.normalizeQuickReply(btn))
+    assertCount(flatButtons, 1, LIMITS.quickReplies, 'Quick replies')
     return {
       text,
       quick_replies: flatButtons,
@@ -34,102 +204,387 @@ class Markup {
 
   /**
    * Create an inline keyboard (Messenger button template).
-   * @param {Array<object>} buttons - Array of button objects ({ type, title/text, url, payload })
+   * @param {Array<object>} buttons - 1 to 3 button objects ({ type, title/text, url, payload })
    * @param {string} text - Message text
    * @returns {object} Messenger button template payload
    */
   static inlineKeyboard(buttons, text) {
+    assertCount(buttons, 1, LIMITS.templateButtons, 'Button template buttons')
     return {
       attachment: {
         type: 'template',
         payload: {
           template_type: 'button',
           text,
-          buttons: buttons.map((btn) => {
-            if (btn.type === 'web_url') {
-              return {
-                type: 'web_url',
-                title: btn.title,
-                url: btn.url,
-              }
-            }
-            return {
-              type: 'postback',
-              title: btn.text || btn.title,
-              payload: btn.payload || btn.text || btn.title,
-            }
-          }),
+          buttons: buttons.map((btn) => Markup.normalizeButton(btn)),
         },
       },
     }
   }
 
   /**
-   * Create a simple postback button.
+   * Convert a button built with one of the button builders or a plain
+   * `{ type, title/text, url, payload }` object into a Messenger button.
+   * Buttons without a type become postback buttons.
+   * @param {object} btn - Button definition
+   * @returns {object} Messenger button object
+   */
+  static normalizeButton(btn) {
+    if (btn.type === 'web_url') {
+      const { text, ...rest } = btn
+      return { ...rest, title: btn.title || text }
+    }
+    if (btn.type && btn.type !== 'postback') {
+      return btn
+    }
+    return {
+      type: 'postback',
+      title: btn.text || btn.title,
+      payload: encodePayload(btn.payload || btn.text || btn.title),
+    }
+  }
+
+  /**
+   * Create a simple postback button (or quick reply when used in `keyboard`).
+   * Structured payloads are encoded as JSON and decoded back into `ctx.payload`.
    * @param {string} text - Button label
-   * @param {string} payload - Postback payload
+   * @param {string|object} payload - Payload string or data such as `{ action: 'buy', id: 42 }`
    * @returns {object} Messenger postback button
+   * @throws {RangeError} If the encoded payload exceeds 1000 characters
    */
   static button(text, payload) {
-    return { text, payload }
+    return {
+      text,
+      payload: payload === undefined ? payload : encodePayload(payload),
+    }
   }
 
   /**
    * Build a photo reply payload.
-   * @param {string} url - Image URL
+   * @param {string|URL|{path: string}|Buffer|import('stream').Readable} source - Image URL, attachment ID, `file://` URL, `{ path }`, Buffer or stream (local files are uploaded when sent)
    * @returns {object} Messenger image attachment
    */
-  static replyWithPhoto(url) {
+  static replyWithPhoto(source) {
     return {
       attachment: {
         type: 'image',
-        payload: { url },
+        payload: attachmentPayload(source),
       },
     }
   }
 
   /**
    * Build a document reply payload.
-   * @param {string} url - File URL
+   * @param {string|URL|{path: string}|Buffer|import('stream').Readable} source - File URL, attachment ID, `file://` URL, `{ path }`, Buffer or stream (local files are uploaded when sent)
    * @returns {object} Messenger file attachment
    */
-  static replyWithDocument(url) {
+  static replyWithDocument(source) {
     return {
       attachment: {
         type: 'file',
-        payload: { url },
+        payload: attachmentPayload(source),
       },
     }
   }
 
   /**
    * Build an audio reply payload.
-   * @param {string} url - Audio file URL
+   * @param {string|URL|{path: string}|Buffer|import('stream').Readable} source - Audio file URL, attachment ID, `file://` URL, `{ path }`, Buffer or stream (local files are uploaded when sent)
    * @returns {object} Messenger audio attachment
    */
-  static replyWithAudio(url) {
+  static replyWithAudio(source) {
     return {
       attachment: {
         type: 'audio',
-        payload: { url },
+        payload: attachmentPayload(source),
       },
     }
   }
 
   /**
    * Build a video reply payload.
-   * @param {string} url - Video URL
+   * @param {string|URL|{path: string}|Buffer|import('stream').Readable} source - Video URL, attachment ID, `file://` URL, `{ path }`, Buffer or stream (local files are uploaded when sent)
    * @returns {object} Messenger video attachment
    */
-  static replyWithVideo(url) {
+  static replyWithVideo(source) {
     return {
       attachment: {
         type: 'video',
-        payload: { url },
+        payload: attachmentPayload(source),
       },
     }
   }
 
+  /**
+   * Build a generic template element (one card of a carousel).
+   * @param {object} element
+   * @param {string} element.title - Card title (max 80 characters)
+   * @param {string} [element.subtitle] - Card subtitle (max 80 characters)
+   * @param {string} [element.image_url] - Image shown on the card
+   * @param {object} [element.default_action] - Action when the card is tapped (a `urlButton` without title)
+   * @param {Array<object>} [element.buttons] - Up to 3 buttons
+   * @returns {object} Messenger generic template element
+   */
+  static element({ title, subtitle, image_url, default_action, buttons }) {
+    assertRequired(title, 'Element title')
+    assertMaxLength(title, LIMITS.titleLength, 'Element title')
+    assertMaxLength(subtitle, LIMITS.subtitleLength, 'Element subtitle')
+    if (buttons) {
+      assertCount(buttons, 0, LIMITS.elementButtons, 'Element buttons')
+    }
+
+    const element = { title }
+    if (subtitle) element.subtitle = subtitle
+    if (image_url) element.image_url = image_url
+    if (default_action) {
+      // Default actions are URL buttons without a title
+      element.default_action = { ...default_action, type: 'web_url' }
+      delete element.default_action.title
+    }
+    if (buttons && buttons.length > 0) {
+      element.buttons = buttons.map((btn) => Markup.normalizeButton(btn))
+    }
+    return element
+  }
+
+  /**
+   * Build a generic template: a single card or a horizontal carousel.
+   * @param {Array<object>} elements - 1 to 10 elements (plain objects or built with `element()`)
+   * @param {object} [options]
+   * @param {'horizontal'|'square'} [options.image_aspect_ratio] - Image aspect ratio
+   * @returns {object} Messenger generic template attachment
+   *
+   * @example
+   * await ctx.reply(
+   *   Markup.genericTemplate([
+   *     { title: 'T-Shirt', subtitle: '$19', image_url: 'https://...', buttons: [Markup.button('Buy', { action: 'buy', id: 1 })] },
+   *     { title: 'Hoodie', subtitle: '$39', image_url: 'https://...', buttons: [Markup.button('Buy', { action: 'buy', id: 2 })] },
+   *   ])
+   * )
+   */
+  static genericTemplate(elements, { image_aspect_ratio } = {}) {
+    assertCount(
+      elements,
+      1,
+      LIMITS.genericElements,
+      'Generic template elements'
+    )
+    const payload = {
+      template_type: 'generic',
+      elements: elements.map((el) => Markup.element(el)),
+    }
+    if (image_aspect_ratio) payload.image_aspect_ratio = image_aspect_ratio
+    return template(payload)
+  }
+
+  /**
+   * Alias of `genericTemplate` for carousels.
+   * @param {Array<object>} elements - 1 to 10 elements
+   * @param {object} [options] - Same options as `genericTemplate`
+   * @returns {object} Messenger generic template attachment
+   */
+  static carousel(elements, options) {
+    return Markup.genericTemplate(elements, options)
+  }
+
+  /**
+   * Build a media template: an image or video with optional buttons.
+   * @param {object} media
+   * @param {'image'|'video'} media.media_type - Media type
+   * @param {string} [media.url] - Facebook URL of the media (use this or attachment_id)
+   * @param {string} [media.attachment_id] - ID of an uploaded attachment
+   * @param {Array<object>} [media.buttons] - Up to 3 buttons
+   * @returns {object} Messenger media template attachment
+   */
+  static mediaTemplate({ media_type, url, attachment_id, buttons }) {
+    if (!['image', 'video'].includes(media_type)) {
+      throw new TypeError("Media type must be 'image' or 'video'")
+    }
+    if (!url && !attachment_id) {
+      throw new TypeError('Media template requires a url or an attachment_id')
+    }
+    if (buttons) {
+      assertCount(buttons, 0, LIMITS.elementButtons, 'Media template buttons')
+    }
+
+    const element = { media_type }
+    if (attachment_id) element.attachment_id = attachment_id
+    else element.url = url
+    if (buttons && buttons.length > 0) {
+      element.buttons = buttons.map((btn) => Markup.normalizeButton(btn))
+    }
+    return template({ template_type: 'media', elements: [element] })
+  }
+
+  /**
+   * Build a receipt template for an order confirmation.
+   * Fields use the Messenger names (see the receipt template reference).
+   * @param {object} receipt
+   * @param {string} receipt.recipient_name - Customer name
+   * @param {string} receipt.order_number - Unique order number
+   * @param {string} receipt.currency - ISO 4217 currency code
+   * @param {string} receipt.payment_method - Payment method description
+   * @param {{total_cost: number, subtotal?: number, shipping_cost?: number, total_tax?: number}} receipt.summary - Payment summary
+   * @param {Array<{title: string, price: number, subtitle?: string, quantity?: number, currency?: string, image_url?: string}>} [receipt.elements] - Up to 100 purchased items
+   * @param {object} [receipt.address] - Shipping address
+   * @param {Array<{name: string, amount: number}>} [receipt.adjustments] - Discounts and other adjustments
+   * @param {string} [receipt.order_url] - URL of the order
+   * @param {string} [receipt.timestamp] - Order timestamp (seconds)
+   * @param {boolean} [receipt.sharable] - Allow sharing the receipt
+   * @returns {object} Messenger receipt template attachment
+   */
+  static receiptTemplate(receipt) {
+    const { recipient_name, order_number, currency, payment_method, summary } =
+      receipt
+    assertRequired(recipient_name, 'Receipt recipient_name')
+    assertRequired(order_number, 'Receipt order_number')
+    assertRequired(currency, 'Receipt currency')
+    assertRequired(payment_method, 'Receipt payment_method')
+    assertRequired(summary?.total_cost, 'Receipt summary.total_cost')
+    if (receipt.elements) {
+      assertCount(
+        receipt.elements,
+        0,
+        LIMITS.receiptElements,
+        'Receipt elements'
+      )
+      for (const item of receipt.elements) {
+        assertRequired(item.title, 'Receipt element title')
+        assertRequired(item.price, 'Receipt element price')
+      }
+    }
+    return template({ template_type: 'receipt', ...receipt })
+  }
+
+  /**
+   * Build a coupon template.
+   * @param {object} coupon
+   * @param {string} coupon.title - Coupon title (max 80 characters)
+   * @param {string} [coupon.subtitle] - Coupon subtitle (max 80 characters)
+   * @param {string} [coupon.coupon_code] - Code shown to the user (use this or coupon_url)
+   * @param {string} [coupon.coupon_url] - URL to redeem the coupon
+   * @param {string} [coupon.coupon_url_button_title] - Title of the redeem button
+   * @param {string} [coupon.coupon_pre_message] - Text sent before the coupon
+   * @param {string} [coupon.image_url] - Image shown on the coupon
+   * @param {string|object} [coupon.payload] - Payload sent when the coupon is tapped
+   * @returns {object} Messenger coupon template attachment
+   */
+  static couponTemplate(coupon) {
+    assertRequired(coupon.title, 'Coupon title')
+    assertMaxLength(coupon.title, LIMITS.titleLength, 'Coupon title')
+    assertMaxLength(coupon.subtitle, LIMITS.subtitleLength, 'Coupon subtitle')
+    if (!coupon.coupon_code && !coupon.coupon_url) {
+      throw new TypeError('Coupon requires a coupon_code or a coupon_url')
+    }
+    const payload = { template_type: 'coupon', ...coupon }
+    if (coupon.payload !== undefined) {
+      payload.payload = encodePayload(coupon.payload)
+    }
+    return template(payload)
+  }
+
+  /**
+   * Build a product template from catalog product IDs.
+   * @param {Array<string>} productIds - 1 to 10 product IDs from the page's catalog
+   * @returns {object} Messenger product template attachment
+   */
+  static productTemplate(productIds) {
+    assertCount(
+      productIds,
+      1,
+      LIMITS.productElements,
+      'Product template elements'
+    )
+    return template({
+      template_type: 'product',
+      elements: productIds.map((id) => ({ id })),
+    })
+  }
+
+  /**
+   * Convert a persistent menu item into a Messenger menu item.
+   * Accepts `button()`, `urlButton()`, `nestedMenu()` or `{ text, payload }`.
+   * @param {object} item - Menu item definition
+   * @returns {object} Messenger menu item
+   */
+  static normalizeMenuItem(item) {
+    return item.type === 'nested' ? item : Markup.normalizeButton(item)
+  }
+
+  /**
+   * Create a submenu for the persistent menu.
+   * Messenger only shows nested menus on some clients; prefer a flat menu
+   * where possible.
+   * @param {string} title - Submenu title
+   * @param {Array<object>} items - 1 to 5 menu items (buttons or further submenus)
+   * @returns {object} Messenger nested menu item
+   */
+  static nestedMenu(title, items) {
+    assertRequired(title, 'Nested menu title')
+    assertCount(items, 1, LIMITS.nestedMenuItems, 'Nested menu items')
+    return {
+      type: 'nested',
+      title,
+      call_to_actions: items.map((item) => Markup.normalizeMenuItem(item)),
+    }
+  }
+
+  /**
+   * Create a persistent menu for one locale.
+   * @param {Array<object>} items - 1 to 20 menu items (buttons or `nestedMenu()`)
+   * @param {object} [options]
+   * @param {string} [options.locale='default'] - Locale, e.g. `en_US`
+   * @param {boolean} [options.composer_input_disabled=false] - Hide the text input so users can only use the menu
+   * @returns {object} Messenger persistent menu
+   *
+   * @example
+   * bot.profile.setPersistentMenu([
+   *   Markup.persistentMenu([
+   *     Markup.button('Talk to an agent', 'AGENT'),
+   *     Markup.nestedMenu('Shop', [Markup.button('Cart', 'CART'), Markup.urlButton('Website', 'https://example.com')]),
+   *   ]),
+   * ])
+   */
+  static persistentMenu(
+    items,
+    { locale = 'default', composer_input_disabled = false } = {}
+  ) {
+    assertCount(items, 1, LIMITS.menuItems, 'Persistent menu items')
+    return {
+      locale,
+      composer_input_disabled,
+      call_to_actions: items.map((item) => Markup.normalizeMenuItem(item)),
+    }
+  }
+
+  /**
+   * Create an ice breaker: a question shown before the conversation starts.
+   * @param {string} question - Question text
+   * @param {string|object} [payload] - Postback payload (defaults to the question)
+   * @returns {object} Messenger ice breaker
+   */
+  static iceBreaker(question, payload) {
+    assertRequired(question, 'Ice breaker question')
+    return {
+      question,
+      payload: encodePayload(payload === undefined ? question : payload),
+    }
+  }
+
+  /**
+   * Create a localized greeting shown on the welcome screen.
+   * Supports the `{{user_first_name}}`, `{{user_last_name}}` and
+   * `{{user_full_name}}` placeholders.
+   * @param {string} text - Greeting, up to 160 characters
+   * @param {string} [locale='default'] - Locale, e.g. `en_US`
+   * @returns {object} Messenger greeting
+   */
+  static greeting(text, locale = 'default') {
+    assertRequired(text, 'Greeting text')
+    assertMaxLength(text, LIMITS.greetingLength, 'Greeting text')
+    return { locale, text }
+  }
+
   /**
    * Create a quick reply menu from simple text options.
    * @param {string[]} options - Array of quick reply labels
@@ -137,13 +592,10 @@ class Markup {
    * @returns {object} Messenger quick_replies object
    */
   static keyboardReply(options, text) {
+    assertCount(options, 1, LIMITS.quickReplies, 'Quick replies')
     return {
       text,
-      quick_replies: options.map((opt) => ({
-        content_type: 'text',
-        title: opt,
-        payload: opt,
-      })),
+      quick_replies: options.map((opt) => Markup.quickReply(opt, opt)),
     }
   }
 }
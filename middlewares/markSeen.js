@@ -0,0 +1,21 @@
+/**
+ * Mark incoming messages as seen before handling them.
+ * Failures to send the read receipt are logged and never block the handlers.
+ * @returns {function} Middleware function (ctx, next)
+ *
+ * @example
+ * import { markSeen } from 'jsmessengerbot'
+ * bot.use(markSeen())
+ */
+export default function markSeen() {
+  return async (ctx, next) => {
+    if (ctx.updateType === 'message') {
+      try {
+        await ctx.sendAction('mark_seen')
+      } catch (err) {
+        console.error('Error marking message as seen:', err.message)
+      }
+    }
+    await next()
+  }
+}
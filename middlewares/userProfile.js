@@ -0,0 +1,27 @@
+/**
+ * Populate `ctx.from` with the sender's profile before handling events.
+ * Profiles come from the bot's cache when possible. Lookup failures are
+ * logged and leave `ctx.from` as `{ id }`, so handlers always run.
+ * @param {object} [options]
+ * @param {string[]} [options.fields] - Profile fields (default: first_name, last_name, profile_pic)
+ * @returns {function} Middleware function (ctx, next)
+ *
+ * @example
+ * import { userProfile } from 'jsmessengerbot'
+ * bot.use(userProfile())
+ * bot.command('/start', (ctx) => ctx.reply(`Hi ${ctx.from.first_name}!`))
+ */
+export default function userProfile({ fields } = {}) {
+  return async (ctx, next) => {
+    // Checkbox plugin references have no profile to look up
+    if (!ctx.from && ctx.chat.id && !ctx.userRef) {
+      try {
+        ctx.from = await ctx.getUserProfile(fields)
+      } catch (err) {
+        console.error('Error fetching user profile:', err.message)
+        ctx.from = { id: ctx.chat.id }
+      }
+    }
+    await next()
+  }
+}
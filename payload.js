@@ -0,0 +1,65 @@
+/**
+ * Payload codec for postback buttons and quick replies.
+ * Structured payloads are serialized as JSON so `bot.action()` can route them
+ * by their `action` field and handlers get the data back on `ctx.payload`.
+ */
+
+/**
+ * Maximum payload length accepted by the Messenger Platform.
+ * @type {number}
+ */
+export const MAX_PAYLOAD_LENGTH = 1000
+
+/**
+ * Encode a payload for a postback button or quick reply.
+ * @param {string|object} data - Plain string or structured payload (e.g. `{ action: 'buy', id: 42 }`)
+ * @returns {string} Payload string
+ * @throws {RangeError} If the encoded payload exceeds the Messenger limit
+ *
+ * @example
+ * encodePayload({ action: 'buy', id: 42 }) // '{"action":"buy","id":42}'
+ */
+export function encodePayload(data) {
+  const payload = typeof data === 'string' ? data : JSON.stringify(data)
+  if (payload.length > MAX_PAYLOAD_LENGTH) {
+    throw new RangeError(
+      `Payload is ${payload.length} characters long, Messenger allows at most ${MAX_PAYLOAD_LENGTH}`
+    )
+  }
+  return payload
+}
+
+/**
+ * Decode a payload received from a postback or quick reply.
+ * JSON objects produced by `encodePayload` are parsed back; anything else is returned as is.
+ * @param {string|undefined} payload - Raw payload string
+ * @returns {object|string|undefined} Structured payload or the original string
+ */
+export function decodePayload(payload) {
+  if (typeof payload !== 'string' || !payload.startsWith('{')) return payload
+  try {
+    return JSON.parse(payload)
+  } catch {
+    return payload
+  }
+}
+
+/**
+ * Match a payload against an action trigger.
+ * Strings match the raw payload or the `action` field of a structured payload;
+ * RegExps are tested against the same value.
+ * @param {string|RegExp} trigger - Action trigger
+ * @param {string} rawPayload - Raw payload string
+ * @param {object|string} payload - Decoded payload
+ * @returns {Array<string>|null} Match result (RegExp match array or `[trigger]`), or null
+ */
+export function matchPayload(trigger, rawPayload, payload) {
+  const value =
+    payload && typeof payload === 'object' && 'action' in payload
+      ? String(payload.action)
+      : rawPayload
+  if (trigger instanceof RegExp) {
+    return trigger.exec(value)
+  }
+  return trigger === value || trigger === rawPayload ? [trigger] : null
+}
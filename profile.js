@@ -0,0 +1,377 @@
+import Markup from './markup.js'
+import { encodePayload } from './payload.js'
+
+/**
+ * Graph API path of the Messenger Profile API.
+ * @type {string}
+ */
+const PROFILE_PATH = '/me/messenger_profile'
+
+/**
+ * Config keys accepted by `apply()` and the profile fields they set.
+ * @type {Object<string, string>}
+ */
+const PROFILE_FIELDS = {
+  getStarted: 'get_started',
+  greeting: 'greeting',
+  persistentMenu: 'persistent_menu',
+  iceBreakers: 'ice_breakers',
+  whitelistedDomains: 'whitelisted_domains',
+}
+
+/**
+ * Maximum number of whitelisted domains.
+ * @type {number}
+ */
+const MAX_WHITELISTED_DOMAINS = 50
+
+/**
+ * Normalize a field name or list of field names into an array.
+ * @param {string|string[]} fields - Field(s)
+ * @returns {string[]} Fields
+ */
+const toArray = (fields) => (Array.isArray(fields) ? fields : [fields])
+
+/**
+ * Throw unless a list of localized settings includes the `default` locale,
+ * which Messenger requires.
+ * @param {Array<{locale: string}>} list - Localized settings
+ * @param {string} name - Setting name used in the error message
+ * @returns {Array<{locale: string}>} The list
+ */
+function assertDefaultLocale(list, name) {
+  if (!list.some((item) => item.locale === 'default')) {
+    throw new TypeError(`${name} needs an entry for the "default" locale`)
+  }
+  return list
+}
+
+/**
+ * Build the `greeting` field from a string, a `{ locale: text }` map or a list
+ * of `Markup.greeting()` entries.
+ * @param {string|Object<string, string>|Array<string|{locale: string, text: string}>} greeting - Greeting(s)
+ * @returns {Array<{locale: string, text: string}>} Localized greetings
+ */
+function normalizeGreeting(greeting) {
+  if (typeof greeting === 'string') return [Markup.greeting(greeting)]
+  const list = Array.isArray(greeting)
+    ? greeting.map((g) =>
+        typeof g === 'string'
+          ? Markup.greeting(g)
+          : Markup.greeting(g.text, g.locale)
+      )
+    : Object.entries(greeting).map(([locale, text]) =>
+        Markup.greeting(text, locale)
+      )
+  return assertDefaultLocale(list, 'Greeting')
+}
+
+/**
+ * Whether a list holds localized entries (`{ locale, call_to_actions }`)
+ * rather than items. Nested menus also have `call_to_actions`, so the
+ * `locale` key tells them apart.
+ * @param {Array<object>} list - Items or localized entries
+ * @returns {boolean}
+ */
+const isLocalized = (list) =>
+  list.length > 0 &&
+  list.every((entry) => typeof entry === 'object' && 'locale' in entry)
+
+/**
+ * Build the `persistent_menu` field from menu items (for the default locale)
+ * or a list of `Markup.persistentMenu()` menus.
+ * @param {Array<object>} menu - Menu items or localized menus
+ * @param {object} [options] - Options of `Markup.persistentMenu()` when menu items are given
+ * @returns {Array<object>} Localized menus
+ */
+function normalizePersistentMenu(menu, options) {
+  const list = isLocalized(menu)
+    ? menu.map(({ call_to_actions, ...rest }) =>
+        Markup.persistentMenu(call_to_actions, rest)
+      )
+    : [Markup.persistentMenu(menu, options)]
+  return assertDefaultLocale(list, 'Persistent menu')
+}
+
+/**
+ * Build the `ice_breakers` field from ice breakers (for the default locale)
+ * or a list of `{ locale, call_to_actions }` entries.
+ * @param {Array<string|object>} iceBreakers - Questions, `Markup.iceBreaker()` entries or localized lists
+ * @returns {Array<{locale: string, call_to_actions: Array<object>}>} Localized ice breakers
+ */
+function normalizeIceBreakers(iceBreakers) {
+  const toItems = (items) => {
+    if (items.length < 1 || items.length > 4) {
+      throw new RangeError(
+        `Ice breakers must contain 1 to 4 items, got ${items.length}`
+      )
+    }
+    return items.map((item) =>
+      typeof item === 'string'
+        ? Markup.iceBreaker(item)
+        : Markup.iceBreaker(item.question, item.payload)
+    )
+  }
+  const list = isLocalized(iceBreakers)
+    ? iceBreakers.map(({ locale, call_to_actions }) => ({
+        locale,
+        call_to_actions: toItems(call_to_actions),
+      }))
+    : [{ locale: 'default', call_to_actions: toItems(iceBreakers) }]
+  return assertDefaultLocale(list, 'Ice breakers')
+}
+
+/**
+ * Build the `whitelisted_domains` field.
+ * @param {string[]} domains - HTTPS origins
+ * @returns {string[]} Domains
+ */
+function normalizeWhitelistedDomains(domains) {
+  if (domains.length > MAX_WHITELISTED_DOMAINS) {
+    throw new RangeError(
+      `Whitelisted domains must contain at most ${MAX_WHITELISTED_DOMAINS} items, got ${domains.length}`
+    )
+  }
+  for (const domain of domains) {
+    if (!/^https:\/\//.test(domain)) {
+      throw new TypeError(`Whitelisted domain must use https: ${domain}`)
+    }
+  }
+  return domains
+}
+
+/**
+ * Builders turning `apply()` config values into profile field values.
+ * @type {Object<string, Function>}
+ */
+const NORMALIZERS = {
+  get_started: (payload) => ({ payload: encodePayload(payload) }),
+  greeting: normalizeGreeting,
+  persistent_menu: (menu) => normalizePersistentMenu(menu),
+  ice_breakers: normalizeIceBreakers,
+  whitelisted_domains: normalizeWhitelistedDomains,
+}
+
+/**
+ * MessengerProfile - Client for the Messenger Profile API, available as `bot.profile`.
+ * Configures the Get Started button, greeting, persistent menu, ice breakers
+ * and whitelisted domains of the page.
+ *
+ * @example
+ * await bot.profile.setGetStarted('GET_STARTED')
+ * await bot.profile.setGreeting({ default: 'Hi {{user_first_name}}!', fr_FR: 'Salut !' })
+ * await bot.profile.setPersistentMenu([
+ *   Markup.button('Help', 'HELP'),
+ *   Markup.urlButton('Website', 'https://example.com'),
+ * ])
+ */
+class MessengerProfile {
+  /**
+   * Create a MessengerProfile.
+   * @param {import('./graphClient.js').GraphApiClient} client - Graph API client of the page
+   */
+  constructor(client) {
+    this.client = client
+  }
+
+  /**
+   * Read profile fields.
+   * @param {string|string[]} fields - Field(s), e.g. `greeting` or `['get_started', 'persistent_menu']`
+   * @returns {Promise<object>} Field values by name (missing when not set)
+   * @throws {MessengerApiError} When the Graph API rejects the request
+   */
+  async get(fields) {
+    const response = await this.client.get(PROFILE_PATH, {
+      fields: toArray(fields).join(','),
+    })
+    return response.data?.[0] || {}
+  }
+
+  /**
+   * Set raw profile fields.
+   * @param {object} properties - Field values by name
+   * @returns {Promise<{result: string}>} API response
+   * @throws {MessengerApiError} When the Graph API rejects the request
+   */
+  set(properties) {
+    return this.client.post(PROFILE_PATH, properties)
+  }
+
+  /**
+   * Delete profile fields.
+   * @param {string|string[]} fields - Field(s)
+   * @returns {Promise<{result: string}>} API response
+   * @throws {MessengerApiError} When the Graph API rejects the request
+   */
+  delete(fields) {
+    return this.client.delete(PROFILE_PATH, { fields: toArray(fields) })
+  }
+
+  /**
+   * Show the Get Started button; tapping it sends a postback with the payload.
+   * @param {string|object} [payload='GET_STARTED'] - Postback payload
+   * @returns {Promise<{result: string}>} API response
+   */
+  setGetStarted(payload = 'GET_STARTED') {
+    return this.set({ get_started: NORMALIZERS.get_started(payload) })
+  }
+
+  /**
+   * Get the Get Started button.
+   * @returns {Promise<{payload: string}|undefined>} Get Started setting
+   */
+  async getGetStarted() {
+    return (await this.get('get_started')).get_started
+  }
+
+  /**
+   * Remove the Get Started button. Messenger requires removing the persistent
+   * menu and ice breakers first.
+   * @returns {Promise<{result: string}>} API response
+   */
+  deleteGetStarted() {
+    return this.delete('get_started')
+  }
+
+  /**
+   * Set the greeting shown on the welcome screen.
+   * @param {string|Object<string, string>|Array<string|{locale: string, text: string}>} greeting - Text for the default locale, a `{ locale: text }` map, or `Markup.greeting()` entries
+   * @returns {Promise<{result: string}>} API response
+   */
+  setGreeting(greeting) {
+    return this.set({ greeting: normalizeGreeting(greeting) })
+  }
+
+  /**
+   * Get the greeting.
+   * @returns {Promise<Array<{locale: string, text: string}>|undefined>} Localized greetings
+   */
+  async getGreeting() {
+    return (await this.get('greeting')).greeting
+  }
+
+  /**
+   * Remove the greeting.
+   * @returns {Promise<{result: string}>} API response
+   */
+  deleteGreeting() {
+    return this.delete('greeting')
+  }
+
+  /**
+   * Set the persistent menu. Requires the Get Started button.
+   * @param {Array<object>} menu - Menu items for the default locale, or `Markup.persistentMenu()` menus
+   * @param {object} [options] - `Markup.persistentMenu()` options when menu items are given
+   * @returns {Promise<{result: string}>} API response
+   */
+  setPersistentMenu(menu, options) {
+    return this.set({
+      persistent_menu: normalizePersistentMenu(menu, options),
+    })
+  }
+
+  /**
+   * Get the persistent menu.
+   * @returns {Promise<Array<object>|undefined>} Localized menus
+   */
+  async getPersistentMenu() {
+    return (await this.get('persistent_menu')).persistent_menu
+  }
+
+  /**
+   * Remove the persistent menu.
+   * @returns {Promise<{result: string}>} API response
+   */
+  deletePersistentMenu() {
+    return this.delete('persistent_menu')
+  }
+
+  /**
+   * Set the ice breakers: up to 4 questions users can tap to start a conversation.
+   * @param {Array<string|object>} iceBreakers - Questions, `Markup.iceBreaker()` entries, or `{ locale, call_to_actions }` lists
+   * @returns {Promise<{result: string}>} API response
+   */
+  setIceBreakers(iceBreakers) {
+    return this.set({ ice_breakers: normalizeIceBreakers(iceBreakers) })
+  }
+
+  /**
+   * Get the ice breakers.
+   * @returns {Promise<Array<object>|undefined>} Localized ice breakers
+   */
+  async getIceBreakers() {
+    return (await this.get('ice_breakers')).ice_breakers
+  }
+
+  /**
+   * Remove the ice breakers.
+   * @returns {Promise<{result: string}>} API response
+   */
+  deleteIceBreakers() {
+    return this.delete('ice_breakers')
+  }
+
+  /**
+   * Set the domains allowed in webviews and Messenger Extensions.
+   * @param {string[]} domains - Up to 50 HTTPS origins
+   * @returns {Promise<{result: string}>} API response
+   */
+  setWhitelistedDomains(domains) {
+    return this.set({
+      whitelisted_domains: normalizeWhitelistedDomains(domains),
+    })
+  }
+
+  /**
+   * Get the whitelisted domains.
+   * @returns {Promise<string[]|undefined>} Domains
+   */
+  async getWhitelistedDomains() {
+    return (await this.get('whitelisted_domains')).whitelisted_domains
+  }
+
+  /**
+   * Remove the whitelisted domains.
+   * @returns {Promise<{result: string}>} API response
+   */
+  deleteWhitelistedDomains() {
+    return this.delete('whitelisted_domains')
+  }
+
+  /**
+   * Apply a declarative profile in one request. Keys that are left out are
+   * not touched; keys set to `null` are deleted.
+   * @param {object} config
+   * @param {string|object|null} [config.getStarted] - Get Started payload
+   * @param {string|object|Array|null} [config.greeting] - Greeting, as accepted by `setGreeting()`
+   * @param {Array<object>|null} [config.persistentMenu] - Menu, as accepted by `setPersistentMenu()`
+   * @param {Array<string|object>|null} [config.iceBreakers] - Ice breakers, as accepted by `setIceBreakers()`
+   * @param {string[]|null} [config.whitelistedDomains] - Whitelisted domains
+   * @returns {Promise<void>}
+   * @throws {TypeError} For unknown config keys
+   *
+   * @example
+   * await bot.profile.apply({
+   *   getStarted: 'GET_STARTED',
+   *   greeting: 'Welcome, {{user_first_name}}!',
+   *   persistentMenu: [Markup.button('Help', 'HELP')],
+   *   iceBreakers: ['What are your opening hours?', 'Where are you located?'],
+   * })
+   */
+  async apply(config) {
+    const properties = {}
+    const deleted = []
+    for (const [key, value] of Object.entries(config)) {
+      const field = PROFILE_FIELDS[key]
+      if (!field) throw new TypeError(`Unknown profile setting: ${key}`)
+      if (value === undefined) continue
+      if (value === null) deleted.push(field)
+      else properties[field] = NORMALIZERS[field](value)
+    }
+
+    if (Object.keys(properties).length > 0) await this.set(properties)
+    if (deleted.length > 0) await this.delete(deleted)
+  }
+}
+
+export { MessengerProfile }
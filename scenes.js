@@ -1,112 +1,376 @@
-import fs from 'fs'
+import { Composer, noop } from './composer.js'
+import session from './session.js'
 
 /**
- * In-memory session store for fast, temporary storage.
- * Ideal for development or short-lived apps.
+ * A Scene is a multi-step conversation flow.
+ * Each scene has a name and an ordered list of step handlers.
+ *
+ * A scene is also a Composer: handlers registered on it with `command()`,
+ * `hears()`, `action()`, `on()` or `use()` only run while the scene is active,
+ * and take priority over the current step.
+ *
+ * @example
+ * const scene = new Scene('order', [askSize, askColor])
+ * scene.enter((ctx) => ctx.reply('Let us take your order'))
+ * scene.leave((ctx) => ctx.reply('Bye!'))
+ * scene.command('/cancel', (ctx) => ctx.scene.leave())
  */
-class MemorySessionStore {
-  constructor() {
-    this.sessions = {}
+class Scene extends Composer {
+  /**
+   * @param {string} name - Scene name
+   * @param {Array<(ctx: object, next: Function) => *>} [steps=[]] - Step handlers; return `false` to stay on the step, call `next()` to pass the event on to the bot
+   * @param {object} [options]
+   * @param {number} [options.timeout] - Abandon the scene after this many milliseconds without activity (overrides the SceneManager's `sceneTimeout`)
+   */
+  constructor(name, steps = [], { timeout } = {}) {
+    super()
+    this.name = name
+    this.steps = steps
+    this.timeout = timeout
+    this.enterHandler = Composer.passThru()
+    this.leaveHandler = Composer.passThru()
   }
 
-  /** Retrieve a session by ID */
-  async get(id) {
-    return this.sessions[id] || {}
+  /**
+   * Register hooks that run when the scene is entered, before its first step.
+   * @param {...Function} fns - Middlewares
+   * @returns {this}
+   */
+  enter(...fns) {
+    this.enterHandler = Composer.compose([this.enterHandler, ...fns])
+    return this
   }
 
-  /** Save a session by ID */
-  async set(id, session) {
-    this.sessions[id] = session
+  /**
+   * Register hooks that run when the scene is left.
+   * @param {...Function} fns - Middlewares
+   * @returns {this}
+   */
+  leave(...fns) {
+    this.leaveHandler = Composer.compose([this.leaveHandler, ...fns])
+    return this
+  }
+
+  /**
+   * Run the current step handler and advance if not blocked.
+   * Steps advance automatically after a message unless the step returned
+   * `false`, moved the cursor itself, left the scene, called a sub-scene or
+   * passed the event on. A completed scene returns its state to its caller.
+   * @param {object} ctx - Context
+   * @param {Function} next - Passes the event on to the bot's handlers
+   * @returns {Promise<void>}
+   */
+  async handle(ctx, next) {
+    const frame = ctx.session.__scene
+    const cursor = ctx.wizard.cursor
+    const step = this.steps[cursor]
+    if (!step) {
+      // Scene completed
+      await ctx.scene.leave(ctx.scene.state)
+      // Pass the event on unless a calling scene resumed
+      return ctx.scene.current ? undefined : next()
+    }
+
+    let passed = false
+    const result = await step(ctx, () => {
+      passed = true
+      return next()
+    })
+    if (ctx.session.__scene !== frame || passed) return
+
+    // Auto-increment if user sent a message and step didn’t manually change
+    if (ctx.wizard.cursor === cursor && ctx.event.message && result !== false) {
+      ctx.wizard.next()
+    }
+    if (ctx.wizard.cursor >= this.steps.length) {
+      await ctx.scene.leave(ctx.scene.state)
+    }
   }
 
-  /** Clear a session by ID */
-  async clear(id) {
-    delete this.sessions[id]
+  /**
+   * Get the scene middleware: scene handlers first, then the current step.
+   * Only user input reaches the step; other events (reads, deliveries,
+   * reactions...) are passed on after the scene handlers.
+   * @returns {(ctx: object, next: Function) => Promise<void>} Middleware
+   */
+  middleware() {
+    return Composer.compose([
+      (ctx, next) => this.handler(ctx, next),
+      (ctx, next) => (ctx.isInput ? this.handle(ctx, next) : next()),
+    ])
   }
 }
 
 /**
- * File-based session store for persistence across restarts.
- * Sessions are stored as JSON in the given file.
+ * Step cursor of the active scene, available as `ctx.wizard`.
+ * Moving the cursor does not run the step; it runs on the user's next message.
  */
-class FileSessionStore {
-  constructor(filePath = 'sessions.json') {
-    this.filePath = filePath
-    // Ensure the file exists
-    if (!fs.existsSync(this.filePath)) fs.writeFileSync(this.filePath, '{}')
+class WizardContext {
+  /**
+   * @param {object} ctx - Context with a loaded session
+   */
+  constructor(ctx) {
+    this.ctx = ctx
   }
 
-  /** Internal: read sessions JSON file */
-  _read() {
-    return JSON.parse(fs.readFileSync(this.filePath, 'utf8'))
+  /**
+   * Index of the current step.
+   * @type {number}
+   */
+  get cursor() {
+    return this.ctx.session.__scene?.step ?? 0
   }
 
-  /** Internal: write sessions JSON file */
-  _write(sessions) {
-    fs.writeFileSync(this.filePath, JSON.stringify(sessions, null, 2))
+  set cursor(index) {
+    if (this.ctx.session.__scene) this.ctx.session.__scene.step = index
   }
 
-  /** Retrieve a session by ID */
-  async get(id) {
-    const sessions = this._read()
-    return sessions[id] || {}
+  /**
+   * Handler of the current step, if any.
+   * @type {Function|undefined}
+   */
+  get step() {
+    return this.ctx.scene?.current?.steps[this.cursor]
   }
 
-  /** Save a session by ID */
-  async set(id, session) {
-    const sessions = this._read()
-    sessions[id] = session
-    this._write(sessions)
+  /**
+   * Move to the next step.
+   * @returns {this}
+   */
+  next() {
+    return this.selectStep(this.cursor + 1)
   }
 
-  /** Clear a session by ID */
-  async clear(id) {
-    const sessions = this._read()
-    delete sessions[id]
-    this._write(sessions)
+  /**
+   * Move to the previous step.
+   * @returns {this}
+   */
+  back() {
+    return this.selectStep(Math.max(this.cursor - 1, 0))
+  }
+
+  /**
+   * Move to a step by index.
+   * @param {number} index - Step index
+   * @returns {this}
+   */
+  selectStep(index) {
+    this.cursor = index
+    return this
   }
 }
 
 /**
- * A Scene is a multi-step conversation flow.
- * Each scene has a name and an ordered list of step handlers.
+ * Scene controls for the current user, available as `ctx.scene`.
+ * The active scene lives in a single session key and the scenes that called
+ * it in a stack next to it, so leaving scenes leaves the rest of the session
+ * untouched.
  */
-class Scene {
-  constructor(name, steps) {
-    this.name = name
-    this.steps = steps
+class SceneContext {
+  /**
+   * @param {object} ctx - Context with a loaded session
+   * @param {SceneManager} manager - Manager holding the registered scenes
+   */
+  constructor(ctx, manager) {
+    this.ctx = ctx
+    this.manager = manager
+    this.leaving = null
+
+    /**
+     * Result of the sub-scene that just returned to the active scene.
+     * Only set while the calling step runs again.
+     * @type {*}
+     */
+    this.result = undefined
+
+    /**
+     * Name of the sub-scene that just returned to the active scene, or null.
+     * @type {string|null}
+     */
+    this.returnedFrom = null
   }
 
-  /** Enter a scene, reset step index, and start handling */
-  async enter(ctx) {
-    ctx.session.__scene = this.name
-    ctx.session.step = 0
-    ctx.scene = this
-    await this.handle(ctx)
+  /**
+   * The active scene, if any.
+   * @type {Scene|undefined}
+   */
+  get current() {
+    const name = this.ctx.session.__scene?.name
+    return name ? this.manager.scenes[name] : undefined
   }
 
-  /** Leave a scene and clear session state */
-  async leave(ctx) {
-    Object.keys(ctx.session).forEach((k) => {
-      delete ctx.session[k]
-    })
-    ctx.scene = null
-    ctx._sceneStopped = true
-  }
-
-  /** Run the current step handler and advance if not blocked */
-  async handle(ctx) {
-    let step = typeof ctx.session.step === 'number' ? ctx.session.step : 0
-    if (step < this.steps.length) {
-      const prevStep = step
-      const result = await this.steps[step](ctx)
-      // Auto-increment if user sent text and step didn’t manually change
-      if (ctx.session.step === prevStep && ctx.text && result !== false) {
-        ctx.session.step++
-      }
-    } else {
-      // Scene completed
-      await this.leave(ctx)
+  /**
+   * Data of the active scene, cleared when it is left. Empty outside scenes.
+   * @type {object}
+   */
+  get state() {
+    const data = this.ctx.session.__scene || this.leaving
+    if (!data) return {}
+    data.state ??= {}
+    return data.state
+  }
+
+  set state(value) {
+    if (this.ctx.session.__scene) this.ctx.session.__scene.state = value
+  }
+
+  /**
+   * The scene stack, from the outermost caller to the active scene.
+   * Returns copies, for debugging and logging.
+   * @type {Array<{name: string, step: number, state: object}>}
+   */
+  get stack() {
+    const { __scene: active, __sceneStack: callers = [] } = this.ctx.session
+    return [...callers, ...(active ? [active] : [])].map(
+      ({ name, step, state }) => structuredClone({ name, step, state })
+    )
+  }
+
+  /**
+   * Internal: look up a registered scene.
+   * @param {string} name - Scene name
+   * @returns {Scene} Scene
+   * @throws {Error} When no scene with that name is registered
+   */
+  lookup(name) {
+    const scene = this.manager.scenes[name]
+    if (!scene) throw new Error(`Scene not found: ${name}`)
+    return scene
+  }
+
+  /**
+   * Internal: make a scene active, run its enter hooks, then its first step.
+   * @param {Scene} scene - Scene
+   * @param {object} initialState - Initial state
+   * @returns {Promise<void>}
+   */
+  async start(scene, initialState) {
+    const frame = {
+      name: scene.name,
+      step: 0,
+      state: { ...initialState },
+      touchedAt: Date.now(),
+    }
+    this.ctx.session.__scene = frame
+
+    await scene.enterHandler(this.ctx, noop)
+    if (this.ctx.session.__scene === frame) {
+      await scene.handle(this.ctx, noop)
+    }
+  }
+
+  /**
+   * Enter a scene: leave the active one, run the enter hooks, then the first step.
+   * The new scene takes the place of the active one, so it returns to the
+   * same caller.
+   * @param {string} name - Scene name
+   * @param {object} [initialState={}] - Initial `ctx.scene.state`
+   * @returns {Promise<void>}
+   * @throws {Error} When no scene with that name is registered
+   */
+  async enter(name, initialState = {}) {
+    const scene = this.lookup(name)
+    if (this.current) await this.close()
+    await this.start(scene, initialState)
+  }
+
+  /**
+   * Start a sub-scene on top of the active one. The active scene stays on the
+   * stack at its current step; when the sub-scene leaves, that step runs again
+   * with `ctx.scene.result` and `ctx.scene.returnedFrom` set.
+   * Without an active scene this is the same as `enter()`.
+   * @param {string} name - Scene name
+   * @param {object} [initialState={}] - Initial `ctx.scene.state` of the sub-scene
+   * @returns {Promise<void>}
+   * @throws {Error} When no scene with that name is registered
+   *
+   * @example
+   * async (ctx) => {
+   *   if (ctx.text === 'New address') return ctx.scene.call('address')
+   *   ctx.scene.state.address = ctx.scene.result ?? ctx.text
+   * }
+   */
+  async call(name, initialState = {}) {
+    const scene = this.lookup(name)
+    const { session } = this.ctx
+    if (session.__scene) {
+      session.__sceneStack ??= []
+      session.__sceneStack.push(session.__scene)
+      delete session.__scene
+    }
+    await this.start(scene, initialState)
+  }
+
+  /**
+   * Re-enter the active scene from its first step, keeping its state.
+   * @returns {Promise<void>}
+   */
+  async reenter() {
+    if (this.current) await this.enter(this.current.name, this.state)
+  }
+
+  /**
+   * Leave the active scene, run its leave hooks and clear its state.
+   * `ctx.scene.state` is still readable in the leave hooks.
+   * If another scene called this one, it resumes at the step it called from.
+   * @param {*} [result] - Result handed to the calling scene as `ctx.scene.result`
+   * @returns {Promise<void>}
+   */
+  async leave(result) {
+    const scene = this.current
+    if (!scene) return
+    await this.close()
+
+    // Resume the nearest caller that is still registered: callers may have
+    // been unregistered since they were suspended
+    const { session } = this.ctx
+    let callerScene
+    while (!callerScene && session.__sceneStack?.length > 0) {
+      session.__scene = session.__sceneStack.pop()
+      callerScene = this.current
+      if (!callerScene) delete session.__scene
+    }
+    if (session.__sceneStack?.length === 0) delete session.__sceneStack
+    if (!callerScene) return
+    session.__scene.touchedAt = Date.now()
+
+    Object.assign(this, { result, returnedFrom: scene.name })
+    try {
+      await callerScene.handle(this.ctx, noop)
+    } finally {
+      Object.assign(this, { result: undefined, returnedFrom: null })
+    }
+  }
+
+  /**
+   * Leave the active scene and every scene that called it, without resuming any.
+   * @returns {Promise<void>}
+   */
+  async exit() {
+    const { session } = this.ctx
+    while (session.__scene) {
+      await this.close()
+      const caller = session.__sceneStack?.pop()
+      if (caller) session.__scene = caller
+    }
+    delete session.__sceneStack
+  }
+
+  /**
+   * Internal: drop the active scene and run its leave hooks.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    const scene = this.current
+    const data = this.ctx.session.__scene
+    delete this.ctx.session.__scene
+    if (!scene) return
+    // Let leave hooks see the final state
+    this.leaving = data
+    try {
+      await scene.leaveHandler(this.ctx, noop)
+    } finally {
+      this.leaving = null
     }
   }
 }
@@ -114,60 +378,167 @@ class Scene {
 /**
  * Manages multiple scenes and sessions.
  * Provides middleware for attaching session/scene handling to a bot.
+ *
+ * The manager is also a Composer: handlers registered on it run before the
+ * active scene, which makes them a global escape hatch out of any scene.
+ *
+ * @example
+ * const scenes = new SceneManager()
+ * scenes.register(orderScene, signupScene)
+ * scenes.command('/cancel', scenes.exit(), (ctx) => ctx.reply('Cancelled'))
+ * bot.use(scenes.middleware())
  */
-class SceneManager {
-  constructor({ sessionStoreType = 'memory', sessionFilePath } = {}) {
+class SceneManager extends Composer {
+  /**
+   * Without a store or store type, scenes use the session already loaded by the bot.
+   * @param {object} [options]
+   * @param {import('./sessionStore.js').SessionStore} [options.store] - Session store (pass the bot's store to share sessions)
+   * @param {'memory'|'file'|'sqlite'} [options.sessionStoreType] - Built-in store type when no store is given
+   * @param {string} [options.sessionFilePath] - JSON file for the file store, database file for the SQLite store
+   * @param {(ctx: object) => string|Promise<string>} [options.getSessionKey] - Computes the session key
+   * @param {number} [options.sceneTimeout=0] - Abandon a scene after this many milliseconds without activity (0 = never)
+   * @param {(ctx: object, scene: Scene) => void|Promise<void>} [options.onSceneTimeout] - Called when a stale scene is abandoned, before the event reaches the bot's handlers
+   */
+  constructor({
+    store,
+    sessionStoreType,
+    sessionFilePath,
+    getSessionKey,
+    sceneTimeout = 0,
+    onSceneTimeout = null,
+  } = {}) {
+    super()
     this.scenes = {}
-    // Choose session store type
-    if (sessionStoreType === 'file') {
-      this.sessionStore = new FileSessionStore(sessionFilePath)
-    } else {
-      this.sessionStore = new MemorySessionStore()
-    }
+    this.sceneTimeout = sceneTimeout
+    this.onSceneTimeout = onSceneTimeout
+    this.session = session({
+      store,
+      type: sessionStoreType,
+      filePath: sessionFilePath,
+      getSessionKey,
+    })
   }
 
-  /** Register a scene with the manager */
-  register(scene) {
-    this.scenes[scene.name] = scene
+  /**
+   * Register scenes with the manager.
+   * @param {...Scene} scenes - Scenes
+   * @returns {this}
+   */
+  register(...scenes) {
+    for (const scene of scenes) this.scenes[scene.name] = scene
+    return this
+  }
+
+  /**
+   * Internal: whether the active scene has been idle longer than its timeout.
+   * @param {object} ctx - Context with a loaded session
+   * @param {Scene} scene - Active scene
+   * @returns {boolean}
+   */
+  isStale(ctx, scene) {
+    const timeout = scene.timeout ?? this.sceneTimeout
+    const touchedAt = ctx.session.__scene.touchedAt
+    return (
+      timeout > 0 && touchedAt !== undefined && Date.now() - touchedAt > timeout
+    )
+  }
+
+  /**
+   * Internal: drop a stale scene and its callers, keeping the rest of the session.
+   * @param {object} ctx - Context with a loaded session
+   * @param {Scene} scene - Abandoned scene
+   */
+  async abandon(ctx, scene) {
+    delete ctx.session.__scene
+    delete ctx.session.__sceneStack
+    if (this.onSceneTimeout) await this.onSceneTimeout(ctx, scene)
+  }
+
+  /**
+   * Internal: attach `ctx.scene` and `ctx.wizard` to a context.
+   * @param {object} ctx - Context with a loaded session
+   * @returns {SceneContext} Scene controls
+   */
+  attach(ctx) {
+    const { session } = ctx
+    // Sessions saved by older versions kept the step next to the user's data
+    if (typeof session.__scene === 'string') {
+      session.__scene = { name: session.__scene, step: session.step ?? 0 }
+      delete session.step
+      delete session.__sceneTouchedAt
+    }
+    if (!(ctx.scene instanceof SceneContext)) {
+      ctx.scene = new SceneContext(ctx, this)
+      ctx.wizard = new WizardContext(ctx)
+    }
+    return ctx.scene
   }
 
   /**
    * Middleware for session + scene handling.
    * Should be added to the bot’s middleware chain.
+   * Events the active scene does not handle reach the bot’s other handlers.
    */
   middleware() {
+    const handleScene = Composer.compose([
+      async (ctx, next) => {
+        const scene = this.attach(ctx).current
+        if (scene) {
+          // Stale scenes are abandoned and the event is handled normally
+          if (this.isStale(ctx, scene)) await this.abandon(ctx, scene)
+          else if (ctx.isInput) ctx.session.__scene.touchedAt = Date.now()
+        }
+        return next()
+      },
+      // Global handlers run first, so they work inside every scene
+      (ctx, next) => this.handler(ctx, next),
+      Composer.lazy((ctx) => ctx.scene.current || Composer.passThru()),
+    ])
+
+    // Load and save the session around scene handling
+    return (ctx, next) => this.session(ctx, () => handleScene(ctx, next))
+  }
+
+  /**
+   * Middleware that enters a scene by name.
+   * @param {string} name - Scene name
+   * @param {object|((ctx: object) => object)} [initialState] - Initial `ctx.scene.state`, or a function computing it from the context
+   * @returns {Function} Middleware
+   *
+   * @example
+   * bot.action('buy', scenes.enter('checkout', (ctx) => ({ itemId: ctx.payload.id })))
+   */
+  enter(name, initialState) {
+    return async (ctx) => {
+      const state =
+        typeof initialState === 'function'
+          ? await initialState(ctx)
+          : initialState
+      return this.attach(ctx).enter(name, state)
+    }
+  }
+
+  /**
+   * Middleware that leaves the active scene, then continues the chain.
+   * @returns {Function} Middleware
+   */
+  leave() {
     return async (ctx, next) => {
-      // Load session from store
-      const id = ctx.chat?.id || ctx.from?.id || 'default'
-      ctx.session = await this.sessionStore.get(id)
-
-      const sceneName = ctx.session.__scene
-      let handled = false
-
-      // Continue current scene if active
-      if (sceneName && this.scenes[sceneName] && !ctx._sceneStopped) {
-        ctx.scene = this.scenes[sceneName]
-        await this.scenes[sceneName].handle(ctx)
-        handled = true
-      }
-
-      // Pass to next middleware if no scene handled it
-      if (!handled) {
-        await next()
-      }
-
-      // Save updated session
-      await this.sessionStore.set(id, ctx.session)
+      await this.attach(ctx).leave()
+      return next()
     }
   }
 
-  /** Helper to enter a specific scene by name */
-  enter(name) {
-    return async (ctx) => {
-      const scene = this.scenes[name]
-      if (scene) await scene.enter(ctx)
+  /**
+   * Middleware that leaves every active scene, then continues the chain.
+   * @returns {Function} Middleware
+   */
+  exit() {
+    return async (ctx, next) => {
+      await this.attach(ctx).exit()
+      return next()
     }
   }
 }
 
-export { Scene, SceneManager }
+export { Scene, SceneContext, SceneManager, WizardContext }
@@ -0,0 +1,103 @@
+/**
+ * Wait for a number of milliseconds.
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/**
+ * SendQueue - Outbound request queue for the Send API.
+ * Requests to the same recipient run strictly one after another, so replies
+ * arrive in the order they were sent, while a page-wide limit caps how many
+ * requests start per second across all recipients.
+ *
+ * @example
+ * const queue = new SendQueue({ maxPerSecond: 20 })
+ * await queue.enqueue(psid, () => client.post('/me/messages', body), { delay: 1500 })
+ */
+class SendQueue {
+  /**
+   * Create a SendQueue.
+   * @param {object} [options]
+   * @param {number} [options.maxPerSecond=20] - Requests started per second across the page (0 disables the limit)
+   */
+  constructor({ maxPerSecond = 20 } = {}) {
+    this.interval = maxPerSecond > 0 ? 1000 / maxPerSecond : 0
+    this.nextSlot = 0
+    this.tails = new Map()
+    this.closed = false
+  }
+
+  /**
+   * Queue a request for a recipient.
+   * @param {string} recipientId - Messenger PSID
+   * @param {() => Promise<*>} task - Function performing the request
+   * @param {object} [options]
+   * @param {number} [options.delay=0] - Milliseconds to wait after the previous request to this recipient
+   * @returns {Promise<*>} The task's result
+   */
+  enqueue(recipientId, task, { delay = 0 } = {}) {
+    if (this.closed) {
+      return Promise.reject(new Error('Send queue is closed'))
+    }
+
+    const previous = this.tails.get(recipientId) || Promise.resolve()
+    const result = previous.then(async () => {
+      if (delay > 0) await sleep(delay)
+      await this.acquire()
+      return task()
+    })
+
+    // Later requests wait for this one whether it succeeds or fails
+    const tail = result.then(
+      () => {},
+      () => {}
+    )
+    this.tails.set(recipientId, tail)
+    tail.then(() => {
+      if (this.tails.get(recipientId) === tail) this.tails.delete(recipientId)
+    })
+    return result
+  }
+
+  /**
+   * Internal: wait for the next free slot of the page-wide rate limit.
+   * @returns {Promise<void>}
+   */
+  async acquire() {
+    if (!this.interval) return
+    const now = Date.now()
+    const slot = Math.max(now, this.nextSlot)
+    this.nextSlot = slot + this.interval
+    if (slot > now) await sleep(slot - now)
+  }
+
+  /**
+   * Number of recipients with requests still in flight.
+   * @type {number}
+   */
+  get size() {
+    return this.tails.size
+  }
+
+  /**
+   * Wait until every queued request has settled, including requests queued meanwhile.
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    while (this.tails.size > 0) {
+      await Promise.all(this.tails.values())
+    }
+  }
+
+  /**
+   * Stop accepting requests and wait for the queued ones to finish.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.closed = true
+    await this.flush()
+  }
+}
+
+export { SendQueue }
@@ -1,97 +1,105 @@
 // Session middleware for Messenger/Telegram-style bots
 
-import fs from 'fs'
+import { createSessionStore, defaultSessionKey } from './sessionStore.js'
 
 /**
- * In-memory session store.
- * Fast but volatile — resets on process restart.
+ * Store each loaded session came from, per context and property name.
+ * Lets nested session middlewares share a session instead of reloading it
+ * and overwriting each other's changes.
+ * @type {WeakMap<object, Map<string, object>>}
  */
-class MemorySessionStore {
-  constructor() {
-    this.sessions = {}
-  }
-
-  async get(id) {
-    return this.sessions[id] || {}
-  }
-
-  async set(id, session) {
-    this.sessions[id] = session
-  }
-
-  async clear(id) {
-    delete this.sessions[id]
-  }
-}
-
-/**
- * File-based session store.
- * Stores sessions as JSON in a file (default: sessions.json).
- * Persists across restarts but slower than memory.
- */
-class FileSessionStore {
-  constructor(filePath = 'sessions.json') {
-    this.filePath = filePath
-    if (!fs.existsSync(this.filePath)) {
-      fs.writeFileSync(this.filePath, '{}')
-    }
-  }
-
-  _read() {
-    return JSON.parse(fs.readFileSync(this.filePath, 'utf8'))
-  }
-
-  _write(sessions) {
-    fs.writeFileSync(this.filePath, JSON.stringify(sessions, null, 2))
-  }
-
-  async get(id) {
-    const sessions = this._read()
-    return sessions[id] || {}
-  }
-
-  async set(id, session) {
-    const sessions = this._read()
-    sessions[id] = session
-    this._write(sessions)
-  }
-
-  async clear(id) {
-    const sessions = this._read()
-    delete sessions[id]
-    this._write(sessions)
-  }
-}
+const loadedSessions = new WeakMap()
 
 /**
  * Session middleware factory.
  * Attaches ctx.session and persists it between requests.
  *
+ * When no `store` (or `type`) is given and an outer middleware — usually the
+ * bot itself — already loaded the session, that session is reused as is. With
+ * a store of its own, the session replaces the outer one for the rest of the
+ * chain only; the outer session is put back afterwards.
+ *
+ * Empty sessions are not saved; emptying an existing session deletes it.
+ *
  * @param {object} options - Configuration options
- * @param {'memory'|'file'} [options.type='memory'] - Store type
+ * @param {import('./sessionStore.js').SessionStore} [options.store] - Session store instance (shared with the bot and SceneManager)
+ * @param {'memory'|'file'|'sqlite'} [options.type] - Built-in store type when no store is given (default: memory)
+ * @param {string} [options.filePath] - JSON file for the file store (default: sessions.json), database file for the SQLite store (default: sessions.db)
  * @param {string} [options.key='session'] - Property name on ctx
+ * @param {(ctx: object) => string|Promise<string>} [options.getSessionKey] - Computes the session key (defaults to the sender's PSID)
+ * @param {number} [options.ttl] - Session time to live in milliseconds, sliding on every update (defaults to the store's)
+ * @param {number} [options.maxSize] - Warn when a serialized session grows beyond this many bytes
  * @returns {function} Middleware function (ctx, next)
  *
  * @example
  * import session from './session.js'
  * bot.use(session({ type: 'file' }))
+ *
+ * @example
+ * // One session per page and user
+ * bot.use(session({ store, getSessionKey: (ctx) => `${ctx.pageId}:${ctx.chat.id}` }))
+ *
+ * @example
+ * // Forget users after a day of inactivity
+ * bot.use(session({ type: 'file', ttl: 24 * 60 * 60 * 1000 }))
  */
 export default function session(options = {}) {
-  const { type = 'memory', key = 'session' } = options
-
-  // Use memory or file session store
-  const store =
-    type === 'file' ? new FileSessionStore('sessions.json') : new MemorySessionStore()
+  const {
+    type,
+    filePath,
+    key = 'session',
+    getSessionKey = defaultSessionKey,
+    ttl,
+    maxSize,
+  } = options
+  const explicit = Boolean(options.store || type)
+  const store = options.store || createSessionStore(type, { filePath })
 
   return async (ctx, next) => {
-    const chatId = ctx.chat?.id || ctx.from?.id || 'default'
+    const loaded = loadedSessions.get(ctx) || new Map()
+    const owner = loaded.get(key)
 
-    // Attach session to ctx
-    ctx[key] = await store.get(chatId)
+    // Reuse the session an outer middleware loaded from the same (or any default) store
+    if (owner && (owner === store || !explicit)) {
+      return next()
+    }
 
-    await next()
+    const sessionKey = await getSessionKey(ctx)
+    // A session from another store, put back once this one is saved
+    const outer = ctx[key]
 
-    // Save updated session
-    await store.set(chatId, ctx[key])
+    // Attach session to ctx
+    const stored = await store.get(sessionKey)
+    ctx[key] = stored || {}
+    loaded.set(key, store)
+    loadedSessions.set(ctx, loaded)
+
+    try {
+      await next()
+
+      const value = ctx[key]
+      if (value == null || Object.keys(value).length === 0) {
+        // Nothing worth keeping
+        if (stored) await store.delete(sessionKey)
+        return
+      }
+
+      if (maxSize) {
+        const size = Buffer.byteLength(JSON.stringify(value))
+        if (size > maxSize) {
+          console.warn(
+            `Session "${sessionKey}" is ${size} bytes, over the ${maxSize} byte limit`
+          )
+        }
+      }
+
+      // Save updated session
+      await store.set(sessionKey, value, ttl)
+    } finally {
+      if (owner) {
+        ctx[key] = outer
+        loaded.set(key, owner)
+      }
+    }
   }
 }
@@ -1,64 +1,667 @@
-// Simple file-based session store
+// Session stores shared by MessengerBot, session() and SceneManager
 import fs from 'fs'
+import path from 'path'
 
-const SESSION_FILE = 'sessions.json'
+/**
+ * Session store interface.
+ * Any object implementing these methods can be passed as `sessionStore` to
+ * `MessengerBot`, as `store` to `session()` or to `SceneManager`. Pass the same
+ * instance everywhere so every part of the bot reads and writes the same data.
+ *
+ * @typedef {object} SessionStore
+ * @property {(key: string, options?: {touch?: boolean}) => Promise<object|undefined>} get - Load a session (undefined or {} when missing); `touch: false` reads it without sliding its expiry
+ * @property {(key: string, session: object, ttl?: number) => Promise<void>} set - Save a session, optionally expiring after `ttl` milliseconds
+ * @property {(key: string) => Promise<void>} delete - Remove a session
+ */
+
+/**
+ * Default session key: the sender's PSID.
+ * @param {object} ctx - Context object
+ * @returns {string} Session key
+ */
+export function defaultSessionKey(ctx) {
+  return String(ctx.chat?.id || ctx.from?.id || 'default')
+}
 
 /**
- * Safely read sessions from file.
- * @returns {Object<string, any>} - All stored sessions keyed by chat/user ID.
+ * Reserved key holding expiry times in the single-file format of FileSessionStore.
+ * @type {string}
  */
-function readSessions() {
-  if (!fs.existsSync(SESSION_FILE)) return {}
-  try {
-    return JSON.parse(fs.readFileSync(SESSION_FILE, 'utf8'))
-  } catch {
-    return {}
+const EXPIRES_KEY = '__expires'
+
+/**
+ * Internal: tracks session expiry times for the built-in stores.
+ * Expiration is sliding: reading or writing a session pushes its expiry back.
+ */
+class Expiry {
+  /**
+   * @param {object} options
+   * @param {number} [options.ttl=0] - Default time to live in milliseconds (0 = never expire)
+   * @param {number} [options.sweepInterval=60000] - Milliseconds between sweeps of expired sessions
+   * @param {() => void} options.sweep - Removes expired sessions, called by the sweeper
+   */
+  constructor({ ttl = 0, sweepInterval = 60000, sweep }) {
+    this.ttl = ttl
+    this.sweepInterval = sweepInterval
+    this.sweep = sweep
+    this.times = new Map()
+    this.ttls = new Map()
+    this.timer = null
+  }
+
+  /**
+   * Set or slide the expiry of a session.
+   * @param {string} key - Session key
+   * @param {number} [ttl] - Time to live for this session (defaults to the last one used, then the store default)
+   */
+  touch(key, ttl) {
+    if (ttl !== undefined) this.ttls.set(key, ttl)
+    // Keep expiries loaded from disk when no TTL applies to this session
+    else if (!this.ttls.has(key) && !(this.ttl > 0)) return
+    const effective = this.ttls.has(key) ? this.ttls.get(key) : this.ttl
+    if (effective > 0) {
+      this.times.set(key, Date.now() + effective)
+      this.start()
+    } else {
+      this.times.delete(key)
+    }
+  }
+
+  /**
+   * Whether a session has expired.
+   * @param {string} key - Session key
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {boolean}
+   */
+  isExpired(key, now = Date.now()) {
+    const expiresAt = this.times.get(key)
+    return expiresAt !== undefined && expiresAt <= now
+  }
+
+  /**
+   * Keys of all expired sessions.
+   * @returns {string[]}
+   */
+  expiredKeys() {
+    const now = Date.now()
+    return [...this.times.keys()].filter((key) => this.isExpired(key, now))
+  }
+
+  /**
+   * Forget the expiry of a session.
+   * @param {string} key - Session key
+   */
+  delete(key) {
+    this.times.delete(key)
+    this.ttls.delete(key)
+  }
+
+  /** Start the periodic sweeper (it never keeps the process alive). */
+  start() {
+    if (this.timer || !(this.sweepInterval > 0)) return
+    this.timer = setInterval(() => this.sweep(), this.sweepInterval)
+    this.timer.unref()
+  }
+
+  /** Stop the periodic sweeper. */
+  stop() {
+    clearInterval(this.timer)
+    this.timer = null
   }
 }
 
 /**
- * Write sessions to file.
- * @param {Object<string, any>} sessions - All sessions to persist.
+ * In-memory session store.
+ * Fast but volatile — resets on process restart.
+ * @implements {SessionStore}
  */
-function writeSessions(sessions) {
-  fs.writeFileSync(SESSION_FILE, JSON.stringify(sessions, null, 2))
+export class MemorySessionStore {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.ttl=0] - Default session time to live in milliseconds, sliding on every access (0 = never expire)
+   * @param {number} [options.sweepInterval=60000] - Milliseconds between sweeps of expired sessions
+   */
+  constructor({ ttl = 0, sweepInterval = 60000 } = {}) {
+    this.sessions = new Map()
+    this.expiry = new Expiry({ ttl, sweepInterval, sweep: () => this.sweep() })
+  }
+
+  /**
+   * Get session for a specific key.
+   * @param {string} key - Session key
+   * @param {object} [options]
+   * @param {boolean} [options.touch=true] - Slide the session's expiry
+   * @returns {Promise<object|undefined>} - The stored session, or undefined if none exists
+   */
+  async get(key, { touch = true } = {}) {
+    if (this.expiry.isExpired(key)) await this.delete(key)
+    if (!this.sessions.has(key)) return undefined
+    if (touch) this.expiry.touch(key)
+    return this.sessions.get(key)
+  }
+
+  /**
+   * Save/update session for a specific key.
+   * @param {string} key - Session key
+   * @param {object} session - Session data
+   * @param {number} [ttl] - Time to live for this session in milliseconds
+   * @returns {Promise<void>}
+   */
+  async set(key, session, ttl) {
+    this.sessions.set(key, session)
+    this.expiry.touch(key, ttl)
+  }
+
+  /**
+   * Delete session for a specific key.
+   * @param {string} key - Session key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    this.sessions.delete(key)
+    this.expiry.delete(key)
+  }
+
+  /**
+   * Alias of `delete`, kept for backwards compatibility.
+   * @param {string} key - Session key
+   * @returns {Promise<void>}
+   */
+  async clear(key) {
+    return this.delete(key)
+  }
+
+  /**
+   * Remove every expired session. Runs periodically once a session has a TTL.
+   * @returns {Promise<void>}
+   */
+  async sweep() {
+    for (const key of this.expiry.expiredKeys()) await this.delete(key)
+  }
+
+  /**
+   * Stop the expiry sweeper.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.expiry.stop()
+  }
 }
 
 /**
- * File-based session store implementation.
- * Provides basic get/set/clear for chat/user sessions.
+ * File-based session store.
+ * Keeps sessions in memory and persists them as JSON (default: sessions.json).
+ * Writes are asynchronous, coalesced (many changes within `writeDelay` become
+ * one write) and atomic: data goes to a temporary file that is then renamed
+ * over the target, so a crash mid-write never leaves a truncated file.
+ *
+ * With `shard: true`, `filePath` is a directory holding one file per session,
+ * so each write only touches the sessions that changed.
+ *
+ * Sessions can expire after a sliding `ttl`; expired sessions are swept from
+ * memory and disk periodically.
+ * @implements {SessionStore}
  */
-export const sessionStore = {
+export class FileSessionStore {
+  /**
+   * @param {string} [filePath='sessions.json'] - JSON file holding all sessions (directory when sharded)
+   * @param {object} [options]
+   * @param {number} [options.writeDelay=100] - Milliseconds to wait for more changes before writing
+   * @param {boolean} [options.shard=false] - Store one file per session in the `filePath` directory
+   * @param {number} [options.ttl=0] - Default session time to live in milliseconds, sliding on every access (0 = never expire)
+   * @param {number} [options.sweepInterval=60000] - Milliseconds between sweeps of expired sessions
+   */
+  constructor(
+    filePath = 'sessions.json',
+    { writeDelay = 100, shard = false, ttl = 0, sweepInterval = 60000 } = {}
+  ) {
+    this.filePath = filePath
+    this.writeDelay = writeDelay
+    this.shard = shard
+    this.sessions = new Map()
+    this.expiry = new Expiry({ ttl, sweepInterval, sweep: () => this.sweep() })
+    this.dirty = new Set()
+    this.loaded = null
+    this.timer = null
+    this.writing = null
+  }
+
   /**
-   * Get session for a specific user/chat ID.
-   * @param {string} id - Unique identifier (chat.id or user.id).
-   * @returns {Promise<Object<string, any>>} - The stored session object, or {} if none exists.
+   * Internal: load the sessions file into memory once (single-file mode).
+   * A file that can't be read or parsed rejects every access (and is tried
+   * again next time) instead of being overwritten by the next write.
    */
-  async get(id) {
-    const sessions = readSessions()
-    return sessions[id] || {}
-  },
+  _load() {
+    if (!this.loaded) {
+      this.loaded = fs.promises
+        .readFile(this.filePath, 'utf8')
+        .then((data) => {
+          const { [EXPIRES_KEY]: expires = {}, ...sessions } = JSON.parse(data)
+          for (const [key, session] of Object.entries(sessions)) {
+            this.sessions.set(key, session)
+          }
+          for (const [key, expiresAt] of Object.entries(expires)) {
+            this.expiry.times.set(key, expiresAt)
+          }
+          if (this.expiry.times.size > 0) this.expiry.start()
+        })
+        .catch((err) => {
+          if (err.code === 'ENOENT') return
+          this.loaded = null
+          throw new Error(`Error reading ${this.filePath}: ${err.message}`, {
+            cause: err,
+          })
+        })
+    }
+    return this.loaded
+  }
+
+  /** Internal: path of the file holding one session (sharded mode) */
+  _shardPath(key) {
+    return path.join(this.filePath, `${encodeURIComponent(key)}.json`)
+  }
+
+  /** Internal: load one session file into memory (sharded mode) */
+  async _loadShard(key) {
+    if (this.sessions.has(key) || this.dirty.has(key)) return
+    try {
+      const data = await fs.promises.readFile(this._shardPath(key), 'utf8')
+      const { session, expiresAt } = JSON.parse(data)
+      // A set() may have happened while reading
+      if (!this.sessions.has(key) && !this.dirty.has(key)) {
+        this.sessions.set(key, session)
+        if (expiresAt) this.expiry.times.set(key, expiresAt)
+      }
+    } catch (err) {
+      if (err.code === 'ENOENT') return
+      throw new Error(`Error reading session ${key}: ${err.message}`, {
+        cause: err,
+      })
+    }
+  }
+
+  /** Internal: write a file atomically (temp file + rename) */
+  async _writeFile(file, data) {
+    const tmp = `${file}.${process.pid}.tmp`
+    await fs.promises.writeFile(tmp, data)
+    await fs.promises.rename(tmp, file)
+  }
+
+  /** Internal: schedule a coalesced write */
+  _scheduleWrite() {
+    if (this.timer) return
+    this.timer = setTimeout(() => {
+      this.timer = null
+      this.flush().catch((err) => {
+        console.error('Error writing sessions:', err.message)
+      })
+    }, this.writeDelay)
+  }
+
+  /** Internal: write every pending change */
+  async _write() {
+    const keys = [...this.dirty]
+    this.dirty.clear()
+    try {
+      if (!this.shard) {
+        const sessions = Object.fromEntries(this.sessions)
+        if (this.expiry.times.size > 0) {
+          sessions[EXPIRES_KEY] = Object.fromEntries(this.expiry.times)
+        }
+        await this._writeFile(this.filePath, JSON.stringify(sessions, null, 2))
+        return
+      }
+
+      await fs.promises.mkdir(this.filePath, { recursive: true })
+      await Promise.all(
+        keys.map((key) =>
+          this.sessions.has(key)
+            ? this._writeFile(
+                this._shardPath(key),
+                JSON.stringify({
+                  session: this.sessions.get(key),
+                  expiresAt: this.expiry.times.get(key),
+                })
+              )
+            : fs.promises.rm(this._shardPath(key), { force: true })
+        )
+      )
+    } catch (err) {
+      // Keep the changes pending so the next write retries them
+      for (const key of keys) this.dirty.add(key)
+      throw err
+    }
+  }
 
   /**
-   * Save/update session for a specific user/chat ID.
-   * @param {string} id - Unique identifier (chat.id or user.id).
-   * @param {Object<string, any>} session - Session data to persist.
+   * Get session for a specific key.
+   * @param {string} key - Session key
+   * @param {object} [options]
+   * @param {boolean} [options.touch=true] - Slide the session's expiry
+   * @returns {Promise<object|undefined>} - A copy of the stored session, or undefined if none exists
+   */
+  async get(key, { touch = true } = {}) {
+    if (this.shard) await this._loadShard(key)
+    else await this._load()
+    if (this.expiry.isExpired(key)) await this.delete(key)
+    const session = this.sessions.get(key)
+    if (session === undefined) return undefined
+    if (touch) this.expiry.touch(key)
+    return structuredClone(session)
+  }
+
+  /**
+   * Save/update session for a specific key.
+   * @param {string} key - Session key
+   * @param {object} session - Session data
+   * @param {number} [ttl] - Time to live for this session in milliseconds
+   * @returns {Promise<void>}
+   */
+  async set(key, session, ttl) {
+    if (!this.shard) await this._load()
+    this.sessions.set(key, structuredClone(session))
+    this.expiry.touch(key, ttl)
+    this.dirty.add(key)
+    this._scheduleWrite()
+  }
+
+  /**
+   * Delete session for a specific key.
+   * @param {string} key - Session key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    if (!this.shard) await this._load()
+    this.sessions.delete(key)
+    this.expiry.delete(key)
+    this.dirty.add(key)
+    this._scheduleWrite()
+  }
+
+  /**
+   * Alias of `delete`, kept for backwards compatibility.
+   * @param {string} key - Session key
+   * @returns {Promise<void>}
+   */
+  async clear(key) {
+    return this.delete(key)
+  }
+
+  /**
+   * Write pending changes now. Called by `bot.stop()`; call it yourself before
+   * exiting when the store is used on its own.
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (this.timer) {
+      clearTimeout(this.timer)
+      this.timer = null
+    }
+    // Writes never overlap: wait for the running one, then write what's left
+    while (this.writing) await this.writing
+    if (this.dirty.size === 0) return
+    this.writing = this._write().finally(() => {
+      this.writing = null
+    })
+    await this.writing
+  }
+
+  /**
+   * Remove every expired session from memory and disk. Runs periodically once
+   * a session has a TTL. Sharded sessions that were never loaded are left
+   * until they are read.
+   * @returns {Promise<void>}
+   */
+  async sweep() {
+    for (const key of this.expiry.expiredKeys()) await this.delete(key)
+  }
+
+  /**
+   * Stop the expiry sweeper and write pending changes.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.expiry.stop()
+    await this.flush()
+  }
+}
+
+/**
+ * Schema migrations for SqliteSessionStore, applied in order. The version is
+ * tracked per table in a `{table}_meta` table, so stores sharing a database
+ * (and the application's own `user_version`) don't interfere. `{table}` is
+ * replaced with the table name.
+ * @type {string[]}
+ */
+const SQLITE_MIGRATIONS = [
+  `CREATE TABLE IF NOT EXISTS "{table}" (
+    key TEXT PRIMARY KEY,
+    data TEXT NOT NULL CHECK (json_valid(data)),
+    ttl INTEGER,
+    expires_at INTEGER,
+    updated_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS "{table}_expires_at" ON "{table}" (expires_at);`,
+]
+
+/**
+ * SQLite session store, backed by the optional `better-sqlite3` package
+ * (`npm install better-sqlite3`).
+ *
+ * Sessions are stored as JSON in a single table with an indexed expiry column.
+ * The database runs in WAL mode and its schema is created on first use.
+ * @implements {SessionStore}
+ *
+ * @example
+ * const store = new SqliteSessionStore('sessions.db', { ttl: 24 * 60 * 60 * 1000 })
+ * const bot = new MessengerBot({ ...config, sessionStore: store })
+ */
+export class SqliteSessionStore {
+  /**
+   * @param {string} [filename='sessions.db'] - Database file (`:memory:` for a throwaway database)
+   * @param {object} [options]
+   * @param {string} [options.table='sessions'] - Table name
+   * @param {number} [options.ttl=0] - Default session time to live in milliseconds, sliding on every access (0 = never expire)
+   * @param {number} [options.sweepInterval=60000] - Milliseconds between sweeps of expired sessions
+   * @param {object} [options.db] - An open better-sqlite3 database to use instead of opening `filename` (left open by `close()`)
+   */
+  constructor(
+    filename = 'sessions.db',
+    { table = 'sessions', ttl = 0, sweepInterval = 60000, db = null } = {}
+  ) {
+    if (!/^\w+$/.test(table)) {
+      throw new TypeError(`Invalid session table name: ${table}`)
+    }
+    this.filename = filename
+    this.table = table
+    this.ttl = ttl
+    this.sweepInterval = sweepInterval
+    this.db = db
+    // Databases passed in belong to the caller, who may share the connection
+    this.ownsDb = !db
+    this.statements = null
+    this.opening = null
+    this.timer = null
+  }
+
+  /**
+   * Internal: open the database, migrate it and prepare statements once.
+   * @returns {Promise<object>} Prepared statements
+   */
+  _open() {
+    if (!this.opening) {
+      this.opening = (async () => {
+        if (!this.db) {
+          const Database = await import('better-sqlite3').then(
+            (module) => module.default,
+            (err) => {
+              throw new Error(
+                'SqliteSessionStore requires the better-sqlite3 package (npm install better-sqlite3)',
+                { cause: err }
+              )
+            }
+          )
+          this.db = new Database(this.filename)
+        }
+        this.db.pragma('journal_mode = WAL')
+        this._migrate()
+
+        const table = `"${this.table}"`
+        this.statements = {
+          get: this.db.prepare(
+            `SELECT data, ttl, expires_at FROM ${table} WHERE key = ?`
+          ),
+          set: this.db.prepare(
+            `INSERT INTO ${table} (key, data, ttl, expires_at, updated_at)
+             VALUES (@key, json(@data), @ttl, @expiresAt, @now)
+             ON CONFLICT (key) DO UPDATE SET data = excluded.data,
+               ttl = excluded.ttl, expires_at = excluded.expires_at,
+               updated_at = excluded.updated_at`
+          ),
+          touch: this.db.prepare(
+            `UPDATE ${table} SET expires_at = ? WHERE key = ?`
+          ),
+          delete: this.db.prepare(`DELETE FROM ${table} WHERE key = ?`),
+          sweep: this.db.prepare(
+            `DELETE FROM ${table} WHERE expires_at IS NOT NULL AND expires_at <= ?`
+          ),
+        }
+        if (this.sweepInterval > 0) {
+          this.timer = setInterval(() => this.sweep(), this.sweepInterval)
+          this.timer.unref()
+        }
+        return this.statements
+      })()
+    }
+    return this.opening
+  }
+
+  /**
+   * Internal: bring the schema of the store's table up to date.
+   */
+  _migrate() {
+    const meta = `"${this.table}_meta"`
+    const migrate = this.db.transaction(() => {
+      this.db.exec(
+        `CREATE TABLE IF NOT EXISTS ${meta} (key TEXT PRIMARY KEY, value TEXT NOT NULL)`
+      )
+      const row = this.db
+        .prepare(`SELECT value FROM ${meta} WHERE key = 'schema_version'`)
+        .get()
+      const version = Number(row?.value ?? 0)
+      if (version >= SQLITE_MIGRATIONS.length) return
+      SQLITE_MIGRATIONS.slice(version).forEach((sql) => {
+        this.db.exec(sql.replaceAll('{table}', this.table))
+      })
+      this.db
+        .prepare(
+          `INSERT INTO ${meta} (key, value) VALUES ('schema_version', ?)
+           ON CONFLICT (key) DO UPDATE SET value = excluded.value`
+        )
+        .run(String(SQLITE_MIGRATIONS.length))
+    })
+    migrate()
+  }
+
+  /**
+   * Get session for a specific key.
+   * @param {string} key - Session key
+   * @param {object} [options]
+   * @param {boolean} [options.touch=true] - Slide the session's expiry
+   * @returns {Promise<object|undefined>} - The stored session, or undefined if none exists
+   */
+  async get(key, { touch = true } = {}) {
+    const statements = await this._open()
+    const row = statements.get.get(key)
+    if (!row) return undefined
+
+    const now = Date.now()
+    if (row.expires_at !== null && row.expires_at <= now) {
+      statements.delete.run(key)
+      return undefined
+    }
+    if (touch && row.ttl > 0) statements.touch.run(now + row.ttl, key)
+    return JSON.parse(row.data)
+  }
+
+  /**
+   * Save/update session for a specific key.
+   * @param {string} key - Session key
+   * @param {object} session - Session data
+   * @param {number} [ttl] - Time to live for this session in milliseconds
    * @returns {Promise<void>}
    */
-  async set(id, session) {
-    const sessions = readSessions()
-    sessions[id] = session
-    writeSessions(sessions)
-  },
+  async set(key, session, ttl = this.ttl) {
+    const statements = await this._open()
+    const now = Date.now()
+    statements.set.run({
+      key,
+      data: JSON.stringify(session),
+      ttl: ttl > 0 ? ttl : null,
+      expiresAt: ttl > 0 ? now + ttl : null,
+      now,
+    })
+  }
 
   /**
-   * Delete session for a specific user/chat ID.
-   * @param {string} id - Unique identifier (chat.id or user.id).
+   * Delete session for a specific key.
+   * @param {string} key - Session key
    * @returns {Promise<void>}
    */
-  async clear(id) {
-    const sessions = readSessions()
-    delete sessions[id]
-    writeSessions(sessions)
-  },
+  async delete(key) {
+    const statements = await this._open()
+    statements.delete.run(key)
+  }
+
+  /**
+   * Alias of `delete`, kept for backwards compatibility.
+   * @param {string} key - Session key
+   * @returns {Promise<void>}
+   */
+  async clear(key) {
+    return this.delete(key)
+  }
+
+  /**
+   * Remove every expired session. Runs periodically while the store is open.
+   * @returns {Promise<number>} Number of sessions removed
+   */
+  async sweep() {
+    const statements = await this._open()
+    return statements.sweep.run(Date.now()).changes
+  }
+
+  /**
+   * Stop the expiry sweeper and close the database, unless it was passed in
+   * as `db`.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    clearInterval(this.timer)
+    this.timer = null
+    if (this.opening) {
+      await this.opening.catch(() => {})
+      if (this.ownsDb) {
+        this.db?.close()
+        this.db = null
+      }
+    }
+    this.opening = null
+    this.statements = null
+  }
+}
+
+/**
+ * Create one of the built-in session stores.
+ * @param {'memory'|'file'|'sqlite'} [type='memory'] - Store type
+ * @param {object} [options]
+ * @param {string} [options.filePath] - JSON file for the file store, database file for the SQLite store
+ * @param {number} [options.ttl] - Default session time to live in milliseconds
+ * @returns {SessionStore} Session store
+ */
+export function createSessionStore(type = 'memory', { filePath, ttl } = {}) {
+  if (type === 'sqlite') return new SqliteSessionStore(filePath, { ttl })
+  return type === 'file'
+    ? new FileSessionStore(filePath, { ttl })
+    : new MemorySessionStore({ ttl })
 }
@@ -0,0 +1,72 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { Readable } from 'node:stream'
+import { pathToFileURL } from 'node:url'
+import { after, before, describe, it } from 'node:test'
+import {
+  attachmentPayload,
+  createUploadForm,
+  sourceKind,
+} from '../attachments.js'
+
+describe('sourceKind', () => {
+  it('tells URLs, attachment IDs and local files apart', () => {
+    assert.equal(sourceKind('https://example.com/a.png'), 'url')
+    assert.equal(sourceKind(new URL('https://example.com/a.png')), 'url')
+    assert.equal(sourceKind('1234567890'), 'attachment_id')
+    assert.equal(sourceKind('file:///tmp/a.png'), 'file')
+    assert.equal(sourceKind(new URL('file:///tmp/a.png')), 'file')
+    assert.equal(sourceKind({ path: './a.png' }), 'file')
+    assert.equal(sourceKind(Buffer.from('a')), 'file')
+    assert.equal(sourceKind(Readable.from(['a'])), 'file')
+  })
+
+  it('never treats plain strings as file paths', () => {
+    for (const source of ['/etc/passwd', './a.png', 'ftp://host/a', '']) {
+      assert.throws(() => sourceKind(source), TypeError)
+    }
+  })
+
+  it('sends URL objects as strings', () => {
+    assert.deepEqual(attachmentPayload(new URL('https://example.com/a b')), {
+      url: 'https://example.com/a%20b',
+    })
+  })
+})
+
+describe('createUploadForm', () => {
+  let dir, file
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jsmessengerbot-'))
+    file = path.join(dir, 'report.pdf')
+    fs.writeFileSync(file, '%PDF-1.4 test')
+  })
+  after(() => fs.rmSync(dir, { recursive: true, force: true }))
+
+  it('reads local files named by { path } or a file:// URL', async () => {
+    for (const source of [{ path: file }, pathToFileURL(file).href]) {
+      const blob = (await createUploadForm('file', source)).get('filedata')
+      assert.equal(blob.name, 'report.pdf')
+      assert.equal(blob.type, 'application/pdf')
+      assert.equal(blob.size, 13)
+    }
+  })
+
+  it('rejects files, Buffers and streams over the size limit', async () => {
+    const options = { maxBytes: 8 }
+    await assert.rejects(
+      createUploadForm('file', { path: file }, options),
+      RangeError
+    )
+    await assert.rejects(
+      createUploadForm('file', Buffer.alloc(9), options),
+      RangeError
+    )
+    const stream = Readable.from([Buffer.alloc(5), Buffer.alloc(5)])
+    await assert.rejects(createUploadForm('file', stream, options), RangeError)
+    assert.equal(stream.destroyed, true)
+  })
+})
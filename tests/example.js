@@ -1,5 +1,10 @@
 import 'dotenv/config'
-import MessengerBot, { Markup, Scene, SceneManager, session } from '../index.js'
+import MessengerBot, {
+  FormScene,
+  Markup,
+  SceneManager,
+  session,
+} from '../index.js'
 
 const bot = new MessengerBot({
   accessToken: process.env.PAGE_ACCESS_TOKEN,
@@ -14,39 +19,43 @@ bot.catch((err, ctx, next) => {
   // Optionally reply to user or handle error
 })
 
-// Registration scene
-const registrationScene = new Scene('registration', [
-  async (ctx) => {
-    await ctx.reply('Welcome to the registration! What is your first name?')
-  },
-  async (ctx) => {
-    if (!ctx.text) {
-      await ctx.reply('Please enter your first name.')
-      return false
-    }
-    ctx.session.firstName = ctx.text
-    await ctx.reply('What is your last name?')
-  },
-  async (ctx) => {
-    if (!ctx.text) {
-      await ctx.reply('Please enter your last name.')
-      return false
-    }
-    ctx.session.lastName = ctx.text
-    await ctx.reply('What is your email address?')
-  },
-  async (ctx) => {
-    if (!ctx.text || !/\S+@\S+\.\S+/.test(ctx.text)) {
-      await ctx.reply('Please enter a valid email address.')
-      return false
-    }
-    ctx.session.email = ctx.text
-    await ctx.reply(
-      `Registration complete!\nFirst Name: ${ctx.session.firstName}\nLast Name: ${ctx.session.lastName}\nEmail: ${ctx.session.email}`
-    )
-    await ctx.scene.leave(ctx)
-  },
-])
+// Registration form: each answer is validated and collected in ctx.scene.state
+const registrationScene = new FormScene(
+  'registration',
+  [
+    {
+      name: 'firstName',
+      label: 'First Name',
+      question: 'Welcome to the registration! What is your first name?',
+      retry: 'Please enter your first name.',
+    },
+    {
+      name: 'lastName',
+      label: 'Last Name',
+      question: 'What is your last name?',
+      retry: 'Please enter your last name.',
+    },
+    {
+      name: 'email',
+      label: 'Email',
+      type: 'email',
+      question: 'What is your email address?',
+      maxAttempts: 3,
+    },
+  ],
+  {
+    onComplete: async (ctx, answers) => {
+      await ctx.reply(
+        `Registration complete!\nFirst Name: ${answers.firstName}\nLast Name: ${answers.lastName}\nEmail: ${answers.email}`
+      )
+    },
+  }
+)
+
+registrationScene.command('/cancel', async (ctx) => {
+  await ctx.scene.leave()
+  await ctx.reply('Registration cancelled.')
+})
 
 const scenes = new SceneManager()
 scenes.register(registrationScene)
@@ -121,16 +130,12 @@ bot.action('BTN_2', async (ctx) => {
   await ctx.replyWithDocument(testDocUrl)
 })
 
-// Handle quick reply actions for Messenger keyboard (case-insensitive, only if from button)
-bot.hears(/yes/i, async (ctx) => {
-  if (ctx.event.message?.quick_reply) {
-    await ctx.reply('You clicked Button Yes ')
-  }
+// Quick replies are routed through bot.action() just like postbacks
+bot.action('YES', async (ctx) => {
+  await ctx.reply('You clicked Button Yes')
 })
-bot.hears(/no/i, async (ctx) => {
-  if (ctx.event.message?.quick_reply) {
-    await ctx.reply('You clicked Button No')
-  }
+bot.action('NO', async (ctx) => {
+  await ctx.reply('You clicked Button No')
 })
 // Multiple command example
 bot.command(['/start', '/help', /\/test/i], async (ctx) => {
@@ -0,0 +1,122 @@
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import { after, before, beforeEach, describe, it } from 'node:test'
+import { MessengerApiError } from '../errors.js'
+import { GraphApiClient } from '../graphClient.js'
+
+/**
+ * Mock Graph API answering each path with the queued responses, then 200.
+ * Every request is recorded.
+ */
+function createMockGraph() {
+  const mock = { requests: [], responses: {} }
+  mock.server = http.createServer((req, res) => {
+    let body = ''
+    req.on('data', (chunk) => (body += chunk))
+    req.on('end', () => {
+      const path = new URL(req.url, 'http://localhost').pathname
+      mock.requests.push({ method: req.method, path, headers: req.headers })
+      const [status, data, headers] = mock.responses[path]?.shift() || [
+        200,
+        { ok: true, body: body && JSON.parse(body) },
+      ]
+      res.writeHead(status, { 'content-type': 'application/json', ...headers })
+      res.end(JSON.stringify(data))
+    })
+  })
+  return mock
+}
+
+const serverError = [500, { error: { message: 'Boom', code: 2 } }]
+const rateLimit = (retryAfter) => [
+  429,
+  { error: { message: 'Too many calls', code: 613 } },
+  { 'retry-after': String(retryAfter) },
+]
+
+describe('GraphApiClient', () => {
+  const mock = createMockGraph()
+  let client
+
+  before(async () => {
+    await new Promise((resolve) => mock.server.listen(0, resolve))
+  })
+  after(() => mock.server.close())
+  beforeEach(() => {
+    mock.requests = []
+    mock.responses = {}
+    client = new GraphApiClient({
+      accessToken: 'token',
+      baseUrl: `http://localhost:${mock.server.address().port}`,
+      retryDelay: 1,
+      maxRetryDelay: 20,
+    })
+  })
+
+  it('sends the token in the Authorization header', async () => {
+    const data = await client.post('/me/messenger_profile', { a: 1 })
+    assert.deepEqual(data, { ok: true, body: { a: 1 } })
+    assert.equal(mock.requests[0].path, '/v18.0/me/messenger_profile')
+    assert.equal(mock.requests[0].headers.authorization, 'Bearer token')
+  })
+
+  it('retries transient errors of idempotent requests', async () => {
+    mock.responses['/v18.0/me/messenger_profile'] = [serverError, serverError]
+    const data = await client.post('/me/messenger_profile', {})
+    assert.equal(data.ok, true)
+    assert.equal(mock.requests.length, 3)
+  })
+
+  it('gives up after maxRetries', async () => {
+    mock.responses['/v18.0/me'] = Array(5).fill(serverError)
+    await assert.rejects(client.get('/me'), (err) => {
+      assert.ok(err instanceof MessengerApiError)
+      assert.equal(err.status, 500)
+      return true
+    })
+    assert.equal(mock.requests.length, 4)
+  })
+
+  it('never repeats a send that may have arrived', async () => {
+    mock.responses['/v18.0/me/messages'] = [serverError]
+    await assert.rejects(client.post('/me/messages', {}), MessengerApiError)
+    assert.equal(mock.requests.length, 1)
+  })
+
+  it('retries throttled sends, capping Retry-After', async () => {
+    mock.responses['/v18.0/me/messages'] = [rateLimit(3600)]
+    const started = Date.now()
+    const data = await client.post('/me/messages', {})
+    assert.equal(data.ok, true)
+    assert.equal(mock.requests.length, 2)
+    assert.ok(Date.now() - started < 1000)
+  })
+
+  it('retries sends only for network errors before the request left', () => {
+    const error = (code) => Object.assign(new Error(code), { code })
+    assert.equal(client.isRetryable(error('ECONNREFUSED'), false), true)
+    assert.equal(client.isRetryable(error('EAI_AGAIN'), false), true)
+    assert.equal(client.isRetryable(error('ECONNRESET'), false), false)
+    assert.equal(client.isRetryable(error('ECONNABORTED'), false), false)
+    assert.equal(client.isRetryable(error('ECONNRESET')), true)
+  })
+
+  it('retries sends when the server refuses the connection', async () => {
+    const offline = new GraphApiClient({
+      accessToken: 'token',
+      baseUrl: 'http://127.0.0.1:1',
+      maxRetries: 2,
+      retryDelay: 1,
+    })
+    let attempts = 0
+    const request = offline.http.request.bind(offline.http)
+    offline.http.request = (config) => {
+      attempts++
+      return request(config)
+    }
+    await assert.rejects(offline.post('/me/messages', {}), {
+      code: 'ECONNREFUSED',
+    })
+    assert.equal(attempts, 3)
+  })
+})
@@ -0,0 +1,132 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import {
+  after,
+  afterEach,
+  before,
+  beforeEach,
+  describe,
+  it,
+  mock,
+} from 'node:test'
+import Database from 'better-sqlite3'
+import { SqliteSessionStore } from '../sessionStore.js'
+
+describe('SqliteSessionStore', () => {
+  let dir, now
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jsmessengerbot-'))
+  })
+  after(() => fs.rmSync(dir, { recursive: true, force: true }))
+  beforeEach(() => {
+    now = 1_000_000
+    mock.method(Date, 'now', () => now)
+  })
+  afterEach(() => mock.restoreAll())
+
+  it('saves, reads and deletes sessions', async () => {
+    const store = new SqliteSessionStore(':memory:')
+    assert.equal(await store.get('user'), undefined)
+    await store.set('user', { step: 1, tags: ['a'] })
+    assert.deepEqual(await store.get('user'), { step: 1, tags: ['a'] })
+    await store.delete('user')
+    assert.equal(await store.get('user'), undefined)
+    await store.close()
+  })
+
+  it('expires sessions after a sliding ttl', async () => {
+    const store = new SqliteSessionStore(':memory:', { ttl: 1000 })
+    await store.set('user', { a: 1 })
+    await store.set('other', { b: 2 }, 5000)
+
+    now += 800
+    assert.deepEqual(await store.get('user'), { a: 1 })
+    now += 800
+    // The read above pushed the expiry back
+    assert.deepEqual(await store.get('user'), { a: 1 })
+    now += 800
+    assert.deepEqual(await store.get('user', { touch: false }), { a: 1 })
+    now += 300
+    assert.equal(await store.get('user'), undefined)
+    assert.deepEqual(await store.get('other'), { b: 2 })
+
+    now += 6000
+    await store.sweep()
+    assert.equal(await store.get('other'), undefined)
+    await store.close()
+  })
+
+  it('keeps sessions across reopening the database', async () => {
+    const filename = path.join(dir, 'reload.db')
+    const first = new SqliteSessionStore(filename, { ttl: 1000 })
+    await first.set('user', { name: 'Ada' })
+    await first.close()
+
+    const second = new SqliteSessionStore(filename)
+    assert.deepEqual(await second.get('user'), { name: 'Ada' })
+    now += 2000
+    assert.equal(await second.get('user'), undefined)
+    await second.close()
+  })
+
+  it('migrates tables created before schema versions were tracked', async () => {
+    const filename = path.join(dir, 'migrate.db')
+    const db = new Database(filename)
+    db.pragma('user_version = 42')
+    db.exec(`CREATE TABLE "sessions" (
+      key TEXT PRIMARY KEY,
+      data TEXT NOT NULL CHECK (json_valid(data)),
+      ttl INTEGER,
+      expires_at INTEGER,
+      updated_at INTEGER NOT NULL
+    )`)
+    db.prepare(
+      `INSERT INTO "sessions" (key, data, updated_at) VALUES ('user', '{"a":1}', 0)`
+    ).run()
+    db.close()
+
+    const store = new SqliteSessionStore(filename)
+    assert.deepEqual(await store.get('user'), { a: 1 })
+    await store.close()
+
+    const check = new Database(filename)
+    assert.equal(check.pragma('user_version', { simple: true }), 42)
+    const version = check
+      .prepare(`SELECT value FROM "sessions_meta" WHERE key = 'schema_version'`)
+      .get()
+    assert.equal(version.value, '1')
+    check.close()
+  })
+
+  it('versions each table of a shared database and leaves it open', async () => {
+    const db = new Database(':memory:')
+    const users = new SqliteSessionStore(null, { db, table: 'users' })
+    const scenes = new SqliteSessionStore(null, { db, table: 'scenes' })
+    await users.set('1', { a: 1 })
+    await scenes.set('1', { b: 2 })
+    assert.deepEqual(await users.get('1'), { a: 1 })
+    assert.deepEqual(await scenes.get('1'), { b: 2 })
+
+    await users.close()
+    await scenes.close()
+    assert.equal(db.open, true)
+    const tables = db
+      .prepare(
+        `SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name`
+      )
+      .all()
+      .map((row) => row.name)
+    assert.deepEqual(tables, ['scenes', 'scenes_meta', 'users', 'users_meta'])
+    db.close()
+  })
+
+  it('rejects invalid table names', () => {
+    assert.throws(
+      () => new SqliteSessionStore(':memory:', { table: 'a; DROP' }),
+      TypeError
+    )
+  })
+})
@@ -0,0 +1,131 @@
+import assert from 'node:assert/strict'
+import crypto from 'node:crypto'
+import { after, before, describe, it } from 'node:test'
+import express from 'express'
+import MessengerBot from '../index.js'
+
+const APP_SECRET = 'secret'
+
+const sign = (body) =>
+  'sha256=' + crypto.createHmac('sha256', APP_SECRET).update(body).digest('hex')
+
+/** Start an Express app on a random port and return its base URL. */
+async function listen(app) {
+  const server = app.listen(0)
+  await new Promise((resolve) => server.once('listening', resolve))
+  return { server, url: `http://localhost:${server.address().port}` }
+}
+
+function createBot(options) {
+  const bot = new MessengerBot({
+    accessToken: 'token',
+    verifyToken: 'verify',
+    appSecret: APP_SECRET,
+    maxBodySize: 1024,
+    ...options,
+  })
+  bot.updates = []
+  bot.processEvents = async (update) => {
+    bot.updates.push(update)
+  }
+  return bot
+}
+
+const post = (url, body, headers = { 'x-hub-signature-256': sign(body) }) =>
+  fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body,
+  })
+
+const verify = (url) =>
+  fetch(`${url}?hub.mode=subscribe&hub.verify_token=verify&hub.challenge=42`)
+
+describe('webhookCallback', () => {
+  const bot = createBot()
+  let server, url
+
+  before(async () => {
+    const app = express()
+    app.use('/hook', bot.webhookCallback('/hook'))
+    app.use('/api', bot.webhookCallback('/messenger'))
+    ;({ server, url } = await listen(app))
+  })
+  after(() => server.close())
+
+  it('answers verification and events when mounted under its own path', async () => {
+    const res = await verify(`${url}/hook`)
+    assert.equal(res.status, 200)
+    assert.equal(await res.text(), '42')
+
+    const body = JSON.stringify({ object: 'page', entry: [] })
+    assert.equal((await post(`${url}/hook`, body)).status, 200)
+    assert.deepEqual(bot.updates.at(-1), { object: 'page', entry: [] })
+  })
+
+  it('accepts the path relative to its mount point', async () => {
+    assert.equal((await verify(`${url}/api/messenger`)).status, 200)
+  })
+
+  it('rejects bad verify tokens and signatures', async () => {
+    const res = await fetch(`${url}/hook?hub.mode=subscribe&hub.verify_token=x`)
+    assert.equal(res.status, 403)
+
+    const body = JSON.stringify({ object: 'page', entry: [] })
+    const forged = await post(`${url}/hook`, body, {
+      'x-hub-signature-256': sign('other'),
+    })
+    assert.equal(forged.status, 403)
+  })
+})
+
+describe('bot.app', () => {
+  const bot = createBot()
+  let server, url
+
+  before(async () => {
+    bot.app.post('/other', (req, res) => res.json(req.body))
+    ;({ server, url } = await listen(bot.app))
+  })
+  after(() => server.close())
+
+  it('answers 413 to oversized bodies', async () => {
+    const body = JSON.stringify({ object: 'page', pad: 'x'.repeat(2048) })
+    const res = await post(`${url}/webhook`, body)
+    assert.equal(res.status, 413)
+  })
+
+  it('answers 400 to malformed bodies', async () => {
+    const res = await post(`${url}/webhook`, '{"object":')
+    assert.equal(res.status, 400)
+  })
+
+  it('still parses JSON for other routes', async () => {
+    const res = await post(`${url}/other`, '{"a":1}', {})
+    assert.deepEqual(await res.json(), { a: 1 })
+  })
+})
+
+describe('handleUpdate', () => {
+  it('checks the size, signature and object type', async () => {
+    const bot = createBot()
+    const body = JSON.stringify({ object: 'page', entry: [] })
+    assert.equal(
+      await bot.handleUpdate(body, { 'X-Hub-Signature-256': sign(body) }),
+      200
+    )
+    assert.equal(await bot.handleUpdate(body, {}), 403)
+
+    const user = JSON.stringify({ object: 'user' })
+    assert.equal(
+      await bot.handleUpdate(user, { 'x-hub-signature-256': sign(user) }),
+      404
+    )
+
+    const large = 'x'.repeat(2048)
+    assert.equal(
+      await bot.handleUpdate(large, { 'x-hub-signature-256': sign(large) }),
+      413
+    )
+  })
+})
@@ -0,0 +1,96 @@
+import crypto from 'crypto'
+
+/**
+ * Header Facebook uses to sign webhook payloads.
+ * @type {string}
+ */
+export const SIGNATURE_HEADER = 'x-hub-signature-256'
+
+/**
+ * Default size limit of webhook request bodies (the same as express.json).
+ * @type {number}
+ */
+export const MAX_BODY_BYTES = 100 * 1024
+
+/**
+ * Verify the X-Hub-Signature-256 header of a webhook request.
+ * The signature is an HMAC-SHA256 of the raw request body keyed with the app secret.
+ *
+ * @param {Buffer|string} rawBody - Raw (unparsed) request body
+ * @param {string} signature - Header value, e.g. `sha256=abc123...`
+ * @param {string} appSecret - Facebook App Secret
+ * @returns {{valid: boolean, reason?: string}} Verification result with a reason when invalid
+ */
+export function verifySignature(rawBody, signature, appSecret) {
+  if (!signature) return { valid: false, reason: 'missing_signature' }
+  if (rawBody === undefined || rawBody === null) {
+    return { valid: false, reason: 'missing_body' }
+  }
+
+  const [algorithm, hash] = String(signature).split('=')
+  if (algorithm !== 'sha256' || !hash) {
+    return { valid: false, reason: 'malformed_signature' }
+  }
+
+  const expected = crypto
+    .createHmac('sha256', appSecret)
+    .update(rawBody)
+    .digest()
+  const received = Buffer.from(hash, 'hex')
+
+  // timingSafeEqual throws on length mismatch, so check it first
+  if (
+    received.length !== expected.length ||
+    !crypto.timingSafeEqual(received, expected)
+  ) {
+    return { valid: false, reason: 'signature_mismatch' }
+  }
+  return { valid: true }
+}
+
+/**
+ * Read the raw body of a Node.js request that no body parser has consumed yet.
+ * Bodies beyond the limit are rejected before being read into memory (by
+ * Content-Length) or as soon as they grow past it; the rest is discarded.
+ * @param {import('http').IncomingMessage} req - Incoming request
+ * @param {object} [options]
+ * @param {number} [options.limit=102400] - Maximum body size in bytes
+ * @returns {Promise<Buffer>} The request body
+ * @throws {Error} With `status` 413 when the body exceeds the limit
+ */
+export function readRawBody(req, { limit = MAX_BODY_BYTES } = {}) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () => {
+      const err = new Error(`Request body exceeds ${limit} bytes`)
+      err.status = 413
+      // Drain the rest so the response can still be sent
+      req.removeAllListeners('data')
+      req.resume()
+      reject(err)
+    }
+    if (Number(req.headers?.['content-length']) > limit) return tooLarge()
+
+    const chunks = []
+    let size = 0
+    req.on('data', (chunk) => {
+      size += chunk.length
+      if (size > limit) tooLarge()
+      else chunks.push(chunk)
+    })
+    req.on('end', () => resolve(Buffer.concat(chunks)))
+    req.on('error', reject)
+  })
+}
+
+/**
+ * Write a plain-text response using only the Node.js http API,
+ * so handlers work under Express, Connect, or a bare http server.
+ * @param {import('http').ServerResponse} res - Server response
+ * @param {number} status - HTTP status code
+ * @param {string} [body] - Response body (defaults to the status text)
+ */
+export function sendResponse(res, status, body) {
+  res.statusCode = status
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8')
+  res.end(body === undefined ? String(status) : String(body))
+}